@@ -47,9 +47,15 @@ export function BuildFontString(fontOptions, defaultFont) {
   return `${prefix}${size}px ${family}`;
 }
 
-// Helper to wrap text with hard line breaks (\n) and width-based wrapping
+// Split a line of text into words, each with the spaces after it (shared by wrapText and wrapTextRanges)
+function splitWords(segment) {
+  return segment.match(/\S*\s*/g).filter((token) => token !== '');
+}
+
+// Helper to wrap text with hard line breaks (\n) and width-based wrapping. RichText is wrapped as
+// its plain text; RichText.layout() wraps the styled runs.
 export function wrapText(text, maxWidth, measureText) {
-  const segments = text.split('\n');
+  const segments = String(text).split('\n');
   const lines = [];
 
   for (const segment of segments) {
@@ -61,27 +67,227 @@ export function wrapText(text, maxWidth, measureText) {
       continue;
     }
 
-    const words = trimmed.split(' ');
     let line = '';
 
-    for (const word of words) {
-      const testLine = line ? `${line} ${word}` : word;
-      const metrics = measureText(testLine);
+    for (const token of splitWords(trimmed)) {
+      const metrics = measureText(line + token.trimEnd());
 
       if (metrics.width > maxWidth && line) {
-        lines.push(line);
-        line = word;
-      } else {
-        line = testLine;
+        lines.push(line.trimEnd());
+        line = '';
+      }
+      line += token;
+    }
+
+    lines.push(line.trimEnd());
+  }
+
+  return lines;
+}
+
+// Like wrapText, but for editing: returns { start, end, text } ranges that keep every character of the
+// text (spaces stay at the end of the line they follow, and words too long for a line are broken)
+export function wrapTextRanges(text, maxWidth, measureText) {
+  const lines = [];
+  let segmentStart = 0;
+
+  for (const segment of text.split('\n')) {
+    const segmentEnd = segmentStart + segment.length;
+    let lineStart = segmentStart;
+    let lineEnd = segmentStart;
+
+    let tokenStart = segmentStart;
+    for (const token of splitWords(segment)) {
+      const tokenEnd = tokenStart + token.length;
+      const wordEnd = tokenStart + token.trimEnd().length;
+
+      if (lineEnd > lineStart && measureText(text.slice(lineStart, wordEnd)).width > maxWidth) {
+        lines.push({ start: lineStart, end: lineEnd, text: text.slice(lineStart, lineEnd) });
+        lineStart = lineEnd;
+      }
+
+      // Break a word that doesn't fit on a line of its own
+      while (wordEnd - lineStart > 1 && measureText(text.slice(lineStart, wordEnd)).width > maxWidth) {
+        let breakAt = lineStart + 1;
+        while (breakAt < wordEnd - 1 && measureText(text.slice(lineStart, breakAt + 1)).width <= maxWidth) {
+          breakAt++;
+        }
+        lines.push({ start: lineStart, end: breakAt, text: text.slice(lineStart, breakAt) });
+        lineStart = breakAt;
       }
+
+      lineEnd = tokenEnd;
+      tokenStart = tokenEnd;
     }
 
-    lines.push(line);
+    lines.push({ start: lineStart, end: segmentEnd, text: text.slice(lineStart, segmentEnd) });
+    segmentStart = segmentEnd + 1; // Skip the newline
   }
 
   return lines;
 }
 
+// Navigation directions for arrow keys and gamepad D-pad buttons (12-15)
+const ARROW_KEY_DIRECTIONS = { ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'left', ArrowRight: 'right' };
+const DPAD_BUTTON_DIRECTIONS = { 12: 'up', 13: 'down', 14: 'left', 15: 'right' };
+const NAV_OVERRIDE_KEYS = { up: 'navUp', down: 'navDown', left: 'navLeft', right: 'navRight' };
+
+// Readable names for KeyBinding: keyboard codes that aren't simply split into words, and gamepad
+// buttons in the standard mapping
+const KEY_CODE_NAMES = {
+  Space: 'Space',
+  Escape: 'Esc',
+  ArrowUp: 'Up',
+  ArrowDown: 'Down',
+  ArrowLeft: 'Left',
+  ArrowRight: 'Right',
+  ShiftLeft: 'Left Shift',
+  ShiftRight: 'Right Shift',
+  ControlLeft: 'Left Ctrl',
+  ControlRight: 'Right Ctrl',
+  AltLeft: 'Left Alt',
+  AltRight: 'Right Alt',
+  MetaLeft: 'Left Meta',
+  MetaRight: 'Right Meta',
+  ' ': 'Space',
+  Minus: '-',
+  Equal: '=',
+  BracketLeft: '[',
+  BracketRight: ']',
+  Semicolon: ';',
+  Quote: "'",
+  Backquote: '`',
+  Backslash: '\\',
+  Comma: ',',
+  Period: '.',
+  Slash: '/',
+};
+const GAMEPAD_BUTTON_NAMES = [
+  'A',
+  'B',
+  'X',
+  'Y',
+  'LB',
+  'RB',
+  'LT',
+  'RT',
+  'Back',
+  'Start',
+  'LS',
+  'RS',
+  'D-pad Up',
+  'D-pad Down',
+  'D-pad Left',
+  'D-pad Right',
+  'Home',
+];
+
+// Built-in strings, used when the current and fallback locales don't define a key. Escape and gamepad B
+// choose a modal button labelled with one of the ESCAPE_STRING_KEYS strings.
+const DEFAULT_STRINGS = {
+  'ui.ok': 'OK',
+  'ui.cancel': 'Cancel',
+  'ui.close': 'Close',
+  'ui.exit': 'Exit',
+  'ui.keyboard': 'Keyboard',
+  'ui.all': 'All',
+  'ui.pressKey': 'Press a key...',
+  'ui.pressButton': 'Press a button...',
+  'ui.unbound': 'Unbound',
+  'ui.gamepadButton': 'Button {button}',
+  'ui.key.shift': 'Shift',
+  'ui.key.backspace': 'Del',
+  'ui.key.symbols': '?123',
+  'ui.key.default': 'ABC',
+  'ui.key.space': 'Space',
+  'ui.key.done': 'Done',
+};
+const ESCAPE_STRING_KEYS = ['ui.exit', 'ui.close', 'ui.cancel'];
+
+// Layout with the layers, labels and widths of another merged over a base layout's
+function mergeKeyboardLayout(base, layout) {
+  return {
+    layers: { ...base.layers, ...layout.layers },
+    labels: { ...base.labels, ...layout.labels },
+    widths: { ...base.widths, ...layout.widths },
+  };
+}
+
+// Strings, localized labels (see LocalizedText) and RichText are accepted wherever a label is
+function isText(value) {
+  return typeof value === 'string' || value instanceof LocalizedText || value instanceof RichText;
+}
+
+// Default VirtualKeyboard layout. Rows are strings (one key per character) or arrays of keys; special
+// keys are written in braces. Labels are shown for special keys; the manager's default layout uses the
+// strings in DEFAULT_KEYBOARD_LABEL_KEYS instead, so they follow the locale.
+const DEFAULT_KEYBOARD_LAYOUT = {
+  layers: {
+    default: ['1234567890', 'qwertyuiop', 'asdfghjkl', ['{shift}', ...'zxcvbnm', '{backspace}'], ['{symbols}', '{space}', '{done}']],
+    shift: ['1234567890', 'QWERTYUIOP', 'ASDFGHJKL', ['{shift}', ...'ZXCVBNM', '{backspace}'], ['{symbols}', '{space}', '{done}']],
+    symbols: ['1234567890', '@#$%&*-+=/', '!?()\'":;,_', ['{shift}', ...'.~<>[]|', '{backspace}'], ['{default}', '{space}', '{done}']],
+  },
+  labels: {
+    '{shift}': 'Shift',
+    '{backspace}': 'Del',
+    '{symbols}': '?123',
+    '{default}': 'ABC',
+    '{space}': 'Space',
+    '{done}': 'Done',
+  },
+  // Width of special keys relative to a character key
+  widths: { '{shift}': 1.5, '{backspace}': 1.5, '{symbols}': 1.5, '{default}': 1.5, '{space}': 5, '{done}': 1.5 },
+};
+const DEFAULT_KEYBOARD_LABEL_KEYS = {
+  '{shift}': 'ui.key.shift',
+  '{backspace}': 'ui.key.backspace',
+  '{symbols}': 'ui.key.symbols',
+  '{default}': 'ui.key.default',
+  '{space}': 'ui.key.space',
+  '{done}': 'ui.key.done',
+};
+
+// Dropdown options passed on to its popup list: the colors, font and shape, but not the dropdown's own
+// behaviour (tooltip, accessibleLabel, navigation overrides, effects or callbacks)
+const DROPDOWN_POPUP_OPTIONS = [
+  'controlColor',
+  'controlSurfaceColor',
+  'controlTextColor',
+  'textColor',
+  'controlBorderColor',
+  'controlFocusBorderColor',
+  'controlClickColor',
+  'scrollbarColor',
+  'scrollbarTrackColor',
+  'scrollbarWidth',
+  'borderRadius',
+  'borderWidth',
+  'padding',
+  'font',
+  'fontFamily',
+  'font-family',
+  'fontSize',
+  'font-size',
+  'fontWeight',
+  'font-weight',
+  'fontStyle',
+  'font-style',
+];
+
+// Position one character before (step < 0) or after pos in text, stepping over surrogate pairs so the
+// caret never splits an emoji
+function stepCodePoint(text, pos, step) {
+  const isHigh = (index) => /[\uD800-\uDBFF]/.test(text[index] || '');
+  const isLow = (index) => /[\uDC00-\uDFFF]/.test(text[index] || '');
+  if (step < 0) {
+    return isLow(pos - 1) && isHigh(pos - 2) ? pos - 2 : pos - 1;
+  }
+  return isHigh(pos) && isLow(pos + 1) ? pos + 2 : pos + 1;
+}
+
+// Last text copied or cut in a TextInput, used for pasting when the system clipboard can't be read
+let fallbackClipboardText = '';
+
 // Main MarkJSCanvasUI class
 export class MarkJSCanvasUI {
   constructor(canvas, options = {}) {
@@ -104,6 +310,7 @@ export class MarkJSCanvasUI {
       controlBorderColor: '#666666',
       controlFocusBorderColor: '#4CAF50',
       controlClickColor: '#388E3C',
+      controlErrorColor: '#F44336',
 
       // Menu button
       menuButtonColor: '#4CAF50',
@@ -125,6 +332,26 @@ export class MarkJSCanvasUI {
       panelSurfaceColor: '#2a2a2a',
       panelBorderColor: '#4CAF50',
 
+      // ScrollView
+      scrollbarColor: '#888888',
+      scrollbarTrackColor: 'rgba(255, 255, 255, 0.1)',
+
+      // Tooltip
+      tooltipSurfaceColor: '#111111',
+      tooltipBorderColor: '#888888',
+      tooltipTextColor: '#ffffff',
+      tooltipFontSize: 14,
+
+      // Toast
+      toastSurfaceColor: '#2a2a2a',
+      toastTextColor: '#ffffff',
+      toastFontSize: 14,
+      toastInfoColor: '#2196F3',
+      toastSuccessColor: '#4CAF50',
+      toastWarningColor: '#FF9800',
+      toastErrorColor: '#F44336',
+      toastAchievementColor: '#FFD700',
+
       // Shared
       borderRadius: 6,
       borderWidth: 2,
@@ -160,9 +387,120 @@ export class MarkJSCanvasUI {
     this.keys = this.input.keys;
     this.mouse = this.input.mouse;
     this.gamepad = this.input.gamepad;
+    this.gamepadAxes = []; // Last values reported to onGamepadAxis
+
+    // Focus navigation mode: 'linear' walks controls in insertion order,
+    // 'spatial' moves to the nearest control in the pressed direction
+    this.navigationMode = options.navigationMode || 'linear';
+
+    // Control receiving all pointer moves until release (e.g. a dragged Slider knob)
+    this.pointerCapture = null;
+    this.suppressNextClick = false;
+
+    // Control receiving the next key or gamepad button instead of navigation (e.g. a listening KeyBinding)
+    this.inputCapture = null;
+
+    // Tooltips appear after hovering a control for tooltipDelay ms, or at once for a control focused
+    // with the keyboard or gamepad
+    this.tooltipsEnabled = options.tooltips !== false;
+    this.tooltipDelay = options.tooltipDelay !== undefined ? options.tooltipDelay : 500;
+    this.tooltipMaxWidth = options.tooltipMaxWidth || 300;
+    this.lastInputSource = 'pointer'; // 'pointer' or 'navigation' (keyboard/gamepad)
+    this.hoverControl = null;
+    this.hoverX = 0;
+    this.hoverY = 0;
+    this.hoverTime = 0;
+    this.activeTooltip = null;
+    this.pointerOverCanvas = false; // A mouse (not touch) pointer is over the canvas, for pausing toasts
+
+    // Toasts stack in a corner ('top-right', 'top-left', 'bottom-right', 'bottom-left') or along the top or
+    // bottom edge ('top-center', 'bottom-center'). Up to maxToasts are shown, the rest wait in toastQueue.
+    this.toastPosition = options.toastPosition || 'top-right';
+    this.maxToasts = options.maxToasts || 3;
+    this.toastWidth = options.toastWidth || 300;
+    this.toastAnimation = options.toastAnimation || 'slide'; // 'slide' or 'fade'
+    this.toastQueue = [];
+    this.hoverToast = null;
+
+    // Running tweens (see tween()) and the built-in animations: modal fade and scale, toast slide and
+    // screen transitions ('none', 'fade' or 'slide'). animations: false turns the built-in ones off.
+    this.tweens = [];
+    this.animationsEnabled = options.animations !== false;
+    this.screenTransition = options.screenTransition || 'none';
+    this.screenTransitionDuration = options.screenTransitionDuration || 300;
+    this.transition = null; // Screen transition in progress: { from, type, direction, progress }
+    this.closingModals = []; // Modals playing their exit animation
+
+    // Icons for RichText markup ([icon:name]), see registerIcon
+    this.icons = { ...options.icons };
+
+    // String tables per locale for ui.t() and translate(); keys missing from the current locale come from
+    // the fallback locale, then the built-in strings, then the key itself
+    this.locale = options.locale || 'en';
+    this.fallbackLocale = options.fallbackLocale || 'en';
+    this.strings = {};
+    this.pluralRules = null; // Intl.PluralRules for the current locale, created on first use
+    for (const [locale, strings] of Object.entries(options.strings || {})) {
+      this.addStrings(locale, strings);
+    }
+
+    // Screen stack (see pushScreen); the top screen owns the controls, texts and images
+    this.screens = [];
+
+    // Design resolution: controls are laid out in a fixed coordinate space (e.g. 1280x720) which is
+    // scaled to fit the canvas. The backing store follows the canvas CSS size times devicePixelRatio.
+    this.designWidth = options.designWidth || 0;
+    this.designHeight = options.designHeight || 0;
+    this.pixelRatio = options.pixelRatio || 0; // 0 = use window.devicePixelRatio
+    this.viewScale = 1;
+    this.viewOffsetX = 0;
+    this.viewOffsetY = 0;
+    this.width = canvas.width; // Size of the UI coordinate space (design size, or canvas size without one)
+    this.height = canvas.height;
+
+    // Canvas CSS size, measured again only after a ResizeObserver reports a change (or once per update()
+    // where ResizeObserver isn't available), so frames don't force a layout
+    this.canvasRect = null;
+    this.resizeObserver = null;
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(() => {
+        this.canvasRect = null;
+      });
+      this.resizeObserver.observe(canvas);
+    }
+    this.updateViewport();
+
+    // Last known UI size, to notify controls (e.g. layout containers) when it changes
+    this.lastWidth = this.width;
+    this.lastHeight = this.height;
+
+    // Touch interaction in progress (touch events are delegated to the mouse handlers)
+    this.touchActive = false;
+
+    // Layout for virtual keyboards, merged over the default QWERTY layout (see setKeyboardLayout)
+    this.keyboardLayout = this.getDefaultKeyboardLayout();
+    if (options.keyboardLayout) {
+      this.setKeyboardLayout(options.keyboardLayout);
+    }
 
     // Event callbacks
     this.onEscape = null;
+    this.onLocaleChange = null;
+
+    // Hidden DOM mirror of the UI for screen readers (see AccessibilityBridge)
+    this.accessibility = null;
+    if (options.accessibility) {
+      this.setAccessibility(true);
+    }
+
+    // Mouse wheel scrolls the ScrollView under the pointer. MarkJSInput doesn't report wheel events, so this
+    // is the one input read from the canvas directly.
+    this.wheelListener = (e) => this.onWheel(e);
+    canvas.addEventListener('wheel', this.wheelListener, { passive: false });
+
+    // Hover state ends when the pointer leaves the canvas (the input manager doesn't report it either)
+    this.mouseLeaveListener = () => this.onMouseLeave();
+    canvas.addEventListener('mouseleave', this.mouseLeaveListener);
 
     // Subscribe to input events
     this.inputSubscription = this.input.subscribe(this);
@@ -174,32 +512,117 @@ export class MarkJSCanvasUI {
       this.inputSubscription.unsubscribe();
       this.inputSubscription = null;
     }
+    this.canvas.removeEventListener('wheel', this.wheelListener);
+    this.canvas.removeEventListener('mouseleave', this.mouseLeaveListener);
+    this.setAccessibility(false);
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
 
     // Clear collections
+    this.closeAllModals();
+    this.tweens = [];
     this.controls = [];
-    this.modals = [];
     this.toasts = [];
+    this.toastQueue = [];
     this.images = [];
     this.texts = [];
     this.focusIndex = -1;
     this.onEscape = null;
+    this.pointerCapture = null;
+    this.screens = [];
   }
 
-  // Get mouse position accounting for canvas scaling
+  // Get mouse position from a DOM event in UI coordinates, accounting for canvas scaling
   getCanvasMousePosition(e) {
     const rect = this.canvas.getBoundingClientRect();
     const scaleX = this.canvas.width / rect.width;
     const scaleY = this.canvas.height / rect.height;
 
+    return this.toDesignPoint((e.clientX - rect.left) * scaleX, (e.clientY - rect.top) * scaleY);
+  }
+
+  // Convert a point in canvas (backing store) pixels to UI coordinates
+  toDesignPoint(x, y) {
+    return {
+      x: (x - this.viewOffsetX) / this.viewScale,
+      y: (y - this.viewOffsetY) / this.viewScale,
+    };
+  }
+
+  // Declare the coordinate space controls are laid out in; pass 0, 0 to draw in canvas pixels again
+  setDesignResolution(width, height) {
+    this.designWidth = width || 0;
+    this.designHeight = height || 0;
+    this.updateViewport();
+  }
+
+  getPixelRatio() {
+    if (this.pixelRatio) {
+      return this.pixelRatio;
+    }
+    return typeof window !== 'undefined' && window.devicePixelRatio ? window.devicePixelRatio : 1;
+  }
+
+  // With a design resolution, size the backing store to the displayed size times the pixel ratio
+  // and fit the design area inside it (centered, keeping its aspect ratio)
+  updateViewport() {
+    if (!this.designWidth || !this.designHeight) {
+      this.width = this.canvas.width;
+      this.height = this.canvas.height;
+      this.viewScale = 1;
+      this.viewOffsetX = 0;
+      this.viewOffsetY = 0;
+      return;
+    }
+
+    if (this.options.autoResize !== false) {
+      const rect = this.getCanvasRect();
+      const ratio = this.getPixelRatio();
+      const backingWidth = Math.round(rect.width * ratio);
+      const backingHeight = Math.round(rect.height * ratio);
+      if (backingWidth > 0 && backingHeight > 0 && (this.canvas.width !== backingWidth || this.canvas.height !== backingHeight)) {
+        this.canvas.width = backingWidth;
+        this.canvas.height = backingHeight;
+      }
+    }
+
+    this.width = this.designWidth;
+    this.height = this.designHeight;
+    this.viewScale = Math.min(this.canvas.width / this.designWidth, this.canvas.height / this.designHeight);
+    this.viewOffsetX = (this.canvas.width - this.designWidth * this.viewScale) / 2;
+    this.viewOffsetY = (this.canvas.height - this.designHeight * this.viewScale) / 2;
+  }
+
+  getCanvasRect() {
+    if (!this.canvasRect) {
+      this.canvasRect = this.canvas.getBoundingClientRect();
+    }
+    return this.canvasRect;
+  }
+
+  // Area covering the whole canvas in UI coordinates (larger than the design area when letterboxed)
+  getVisibleBounds() {
     return {
-      x: (e.clientX - rect.left) * scaleX,
-      y: (e.clientY - rect.top) * scaleY,
+      x: -this.viewOffsetX / this.viewScale,
+      y: -this.viewOffsetY / this.viewScale,
+      width: this.canvas.width / this.viewScale,
+      height: this.canvas.height / this.viewScale,
     };
   }
 
   // Subscriber callback: Keyboard down
   onKeyDown(e) {
     this.keys[e.key] = true;
+    this.lastInputSource = 'navigation';
+
+    // A control listening for input gets the key, including Escape and Tab
+    if (this.inputCapture) {
+      this.inputCapture.captureKey(e);
+      e.preventDefault();
+      return;
+    }
 
     // Handle escape key
     if (e.key === 'Escape') {
@@ -209,8 +632,8 @@ export class MarkJSCanvasUI {
         if (modal.handleKeyDown) {
           modal.handleKeyDown(e);
         }
-      } else if (this.onEscape) {
-        this.onEscape();
+      } else {
+        this.handleEscape();
       }
       e.preventDefault();
       return;
@@ -225,10 +648,15 @@ export class MarkJSCanvasUI {
       return;
     }
 
-    // Handle tab navigation
+    // Handle tab navigation (Ctrl+Tab / Ctrl+Shift+Tab switch the page of a Tabs control)
     if (e.key === 'Tab') {
       e.preventDefault();
-      if (e.shiftKey) {
+      if (e.ctrlKey) {
+        const tabs = this.findFocusedOrTopmost(Tabs);
+        if (tabs) {
+          tabs.switchTab(e.shiftKey ? -1 : 1);
+        }
+      } else if (e.shiftKey) {
         this.focusPrevious();
       } else {
         this.focusNext();
@@ -236,6 +664,17 @@ export class MarkJSCanvasUI {
       return;
     }
 
+    // In spatial mode arrow keys move focus unless the focused control uses that direction itself
+    const direction = ARROW_KEY_DIRECTIONS[e.key];
+    if (this.navigationMode === 'spatial' && direction) {
+      const control = this.getFocusedControl();
+      if (!control || !control.handlesDirection(direction)) {
+        this.focusDirection(direction);
+        e.preventDefault();
+        return;
+      }
+    }
+
     // Pass to focused control
     if (this.focusIndex >= 0 && this.focusIndex < this.controls.length) {
       const control = this.controls[this.focusIndex];
@@ -253,15 +692,54 @@ export class MarkJSCanvasUI {
   // Subscriber callback: Mouse move
   onMouseMove(x, y) {
     // Input manager handles mouse state
+    ({ x, y } = this.toDesignPoint(x, y));
+
+    // Send the move to the captured control, even outside its bounds
+    if (this.pointerCapture && this.pointerCapture.handleMouseMove) {
+      this.pointerCapture.handleMouseMove(x, y);
+    }
+
     // Update cursor based on what's under the mouse
     this.updateCursor(x, y);
+    this.updateHover(x, y);
+    this.pointerOverCanvas = !this.touchActive;
+  }
+
+  onMouseLeave() {
+    this.pointerOverCanvas = false;
+    this.hoverControl = null;
+  }
+
+  // Track the control under the pointer for tooltips; the delay restarts when it changes
+  updateHover(x, y) {
+    this.lastInputSource = 'pointer';
+    let control = null;
+    for (let i = this.controls.length - 1; i >= 0; i--) {
+      const candidate = this.controls[i];
+      // Display-only controls (e.g. ProgressBar) and containers count when they have a tooltip
+      const hit = candidate.containsPoint(x, y) || (candidate.tooltip && this.isPointInBounds(candidate, x, y));
+      if (hit && this.canReceivePointer(candidate, x, y)) {
+        control = candidate;
+        break;
+      }
+    }
+    if (control !== this.hoverControl) {
+      this.hoverControl = control;
+      this.hoverTime = 0;
+    }
+    this.hoverX = x;
+    this.hoverY = y;
   }
 
   updateCursor(x, y) {
     let shouldShowPointer = false;
 
+    // Keep the pointer cursor while dragging
+    if (this.pointerCapture) {
+      shouldShowPointer = true;
+    }
     // Check modals first (they're on top)
-    if (this.modals.length > 0) {
+    else if (this.modals.length > 0) {
       const modal = this.modals[this.modals.length - 1];
       if (modal.isOverButton && modal.isOverButton(x, y)) {
         shouldShowPointer = true;
@@ -270,8 +748,8 @@ export class MarkJSCanvasUI {
       // Check controls (from top to bottom, reverse order for correct z-index)
       for (let i = this.controls.length - 1; i >= 0; i--) {
         const control = this.controls[i];
-        // Skip panels as they're not interactive
-        if (control.constructor.name === 'Panel') {
+        // Skip panels and other containers as they're not interactive (except a tab bar)
+        if ((control instanceof Container && !control.isOverInteractiveArea) || !this.canReceivePointer(control, x, y)) {
           continue;
         }
         // Check if control has a hover detection method
@@ -295,15 +773,167 @@ export class MarkJSCanvasUI {
   // Subscriber callback: Mouse down
   onMouseDown(x, y, button) {
     // Input manager handles button state
+    ({ x, y } = this.toDesignPoint(x, y));
+    this.suppressNextClick = false;
+
+    // Pressing hides the tooltip until the pointer moves to another control
+    this.lastInputSource = 'pointer';
+    this.hoverControl = null;
+
+    // A press anywhere stops a control listening for input, and is used up doing so
+    if (this.inputCapture) {
+      this.cancelInputCapture();
+      this.suppressNextClick = true;
+      return;
+    }
+
+    // Modals handle clicks, unless they start a drag themselves (e.g. scrolling a dropdown list)
+    if (this.modals.length > 0) {
+      const modal = this.modals[this.modals.length - 1];
+      if (modal.handleMouseDown && modal.handleMouseDown(x, y, button)) {
+        this.setPointerCapture(modal);
+      }
+      return;
+    }
+
+    // Controls that start a drag return true from handleMouseDown and capture the pointer. A press the
+    // control doesn't use goes to its containers (e.g. a ScrollView drag-scrolls on touch screens)
+    let target = null;
+    for (let i = this.controls.length - 1; i >= 0; i--) {
+      const control = this.controls[i];
+      if (this.canReceivePointer(control, x, y) && control.containsPoint(x, y)) {
+        target = control;
+        break;
+      }
+    }
+    if (!target) {
+      target = this.findContainerAt(x, y);
+    }
+
+    for (let control = target; control; control = control.parent) {
+      if (control.handleMouseDown && control.handleMouseDown(x, y, button)) {
+        if (this.isFocusable(control)) {
+          this.focusIndex = this.controls.indexOf(control);
+        }
+        this.setPointerCapture(control);
+        break;
+      }
+    }
+  }
+
+  // Topmost visible container whose bounds hold the point
+  findContainerAt(x, y) {
+    for (let i = this.controls.length - 1; i >= 0; i--) {
+      const control = this.controls[i];
+      if (control instanceof Container && this.canReceivePointer(control, x, y) && this.isPointInBounds(control, x, y)) {
+        return control;
+      }
+    }
+    return null;
+  }
+
+  isPointInBounds(control, x, y) {
+    return x >= control.x && x <= control.x + control.width && y >= control.y && y <= control.y + control.height;
+  }
+
+  // Canvas wheel listener: the innermost scrollable control under the pointer that can still scroll
+  onWheel(e) {
+    const { x, y } = this.getCanvasMousePosition(e);
+    const scale = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? this.height : 1; // Lines or pages to pixels
+
+    // Only the top modal can scroll while one is open
+    if (this.modals.length > 0) {
+      const modal = this.modals[this.modals.length - 1];
+      if (modal.handleWheel && modal.handleWheel(e.deltaX * scale, e.deltaY * scale)) {
+        e.preventDefault();
+      }
+      return;
+    }
+    for (let i = this.controls.length - 1; i >= 0; i--) {
+      const control = this.controls[i];
+      if (control.handleWheel && this.canReceivePointer(control, x, y) && this.isPointInBounds(control, x, y)) {
+        if (control.handleWheel(e.deltaX * scale, e.deltaY * scale)) {
+          e.preventDefault();
+          return;
+        }
+      }
+    }
   }
 
   // Subscriber callback: Mouse up
   onMouseUp(x, y, button) {
     // Input manager handles button state
+    ({ x, y } = this.toDesignPoint(x, y));
+    if (this.pointerCapture) {
+      const control = this.pointerCapture;
+      this.releasePointerCapture();
+      // The drag already handled this press, so ignore the click that follows the release
+      // (unless handleMouseUp returns false, e.g. a ScrollView that was tapped without dragging)
+      this.suppressNextClick = !(control.handleMouseUp && control.handleMouseUp(x, y, button) === false);
+    }
+  }
+
+  // A control can be hit at (x, y) if it and its containers are visible and no container clips the point away
+  canReceivePointer(control, x, y) {
+    if (!this.isControlVisible(control)) {
+      return false;
+    }
+    for (let parent = control.parent; parent; parent = parent.parent) {
+      if (parent.clipChildren && !(x >= parent.x && x <= parent.x + parent.width && y >= parent.y && y <= parent.y + parent.height)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // A control is visible if it and all of its containers are visible
+  isControlVisible(control) {
+    for (let current = control; current; current = current.parent) {
+      if (current.visible === false) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // Route all pointer moves and the release to a control until releasePointerCapture()
+  setPointerCapture(control) {
+    this.pointerCapture = control;
+  }
+
+  releasePointerCapture() {
+    this.pointerCapture = null;
+  }
+
+  // Send the next keys and gamepad buttons to control.captureKey(e) / captureGamepadButton(index) until
+  // releaseInputCapture(). The control's cancelCapture() is called if the capture is interrupted.
+  setInputCapture(control) {
+    if (this.inputCapture && this.inputCapture !== control) {
+      this.cancelInputCapture();
+    }
+    this.inputCapture = control;
+  }
+
+  releaseInputCapture() {
+    this.inputCapture = null;
+  }
+
+  cancelInputCapture() {
+    const control = this.inputCapture;
+    this.inputCapture = null;
+    if (control && control.cancelCapture) {
+      control.cancelCapture();
+    }
   }
 
   // Subscriber callback: Mouse click
   onMouseClick(x, y, button) {
+    ({ x, y } = this.toDesignPoint(x, y));
+    if (this.suppressNextClick) {
+      this.suppressNextClick = false;
+      return;
+    }
+
     // Check modals first
     if (this.modals.length > 0) {
       const modal = this.modals[this.modals.length - 1];
@@ -314,7 +944,7 @@ export class MarkJSCanvasUI {
     // Check controls
     for (let i = this.controls.length - 1; i >= 0; i--) {
       const control = this.controls[i];
-      if (control.containsPoint(x, y)) {
+      if (this.canReceivePointer(control, x, y) && control.containsPoint(x, y)) {
         this.focusIndex = i;
         if (control.handleClick) {
           control.handleClick(x, y, button);
@@ -326,26 +956,42 @@ export class MarkJSCanvasUI {
 
   onGamepadConnected(e) {}
 
+  // Subscriber callback: gamepad axis moved (used for right-stick scrolling)
+  onGamepadAxis(axisIndex, value) {
+    this.gamepadAxes[axisIndex] = value;
+  }
+
   // Touch event handlers - delegate to mouse handlers for unified behavior
+  // (coordinates are converted to UI space by the mouse handlers)
   onTouchStart(x, y) {
     // Treat touch start like mouse down with left button (button 0)
+    this.touchActive = true;
     this.onMouseDown(x, y, 0);
   }
 
   onTouchMove(x, y) {
     // Treat touch move like mouse move
+    this.touchActive = true;
     this.onMouseMove(x, y);
   }
 
   onTouchEnd(x, y) {
     // Treat touch end like mouse up with left button (button 0)
+    this.touchActive = true;
     this.onMouseUp(x, y, 0);
     // Also trigger a click for touch interactions
     this.onMouseClick(x, y, 0);
+    this.touchActive = false;
   }
 
   // Subscriber callback: Gamepad button pressed
   onGamepadButton(buttonIndex) {
+    this.lastInputSource = 'navigation';
+    if (this.inputCapture) {
+      this.inputCapture.captureGamepadButton(buttonIndex);
+      return;
+    }
+
     // Pass to modal first if one exists
     if (this.modals.length > 0) {
       const modal = this.modals[this.modals.length - 1];
@@ -366,8 +1012,16 @@ export class MarkJSCanvasUI {
     }
     // Button 1 (B/Circle) = Exit/Escape
     else if (buttonIndex === 1) {
-      if (this.onEscape) {
-        this.onEscape();
+      this.handleEscape();
+    }
+    // Buttons 12-15 = D-pad in spatial mode: move within the focused control or to the nearest control
+    else if (this.navigationMode === 'spatial' && DPAD_BUTTON_DIRECTIONS[buttonIndex]) {
+      const direction = DPAD_BUTTON_DIRECTIONS[buttonIndex];
+      const control = this.getFocusedControl();
+      if (control && control.handlesDirection(direction)) {
+        this.sendGamepadDirection(control, direction === 'up' || direction === 'left' ? -1 : 1);
+      } else {
+        this.focusDirection(direction);
       }
     }
     // Button 12 = D-pad up
@@ -380,115 +1034,532 @@ export class MarkJSCanvasUI {
     }
     // Button 14 = D-pad left
     else if (buttonIndex === 14) {
-      if (this.focusIndex >= 0 && this.focusIndex < this.controls.length) {
-        const control = this.controls[this.focusIndex];
-        if (control.handleGamepadAxis) {
-          control.handleGamepadAxis(-1);
-        } else if (control.handleGamepadLeft) {
-          control.handleGamepadLeft();
-        }
+      const control = this.getFocusedControl();
+      if (control) {
+        this.sendGamepadDirection(control, -1);
       }
     }
     // Button 15 = D-pad right
     else if (buttonIndex === 15) {
-      if (this.focusIndex >= 0 && this.focusIndex < this.controls.length) {
-        const control = this.controls[this.focusIndex];
-        if (control.handleGamepadAxis) {
-          control.handleGamepadAxis(1);
-        } else if (control.handleGamepadRight) {
-          control.handleGamepadRight();
-        }
+      const control = this.getFocusedControl();
+      if (control) {
+        this.sendGamepadDirection(control, 1);
+      }
+    }
+    // Buttons 4/5 (LB/RB) = previous/next page of a Tabs control
+    else if (buttonIndex === 4 || buttonIndex === 5) {
+      const tabs = this.findFocusedOrTopmost(Tabs);
+      if (tabs) {
+        tabs.switchTab(buttonIndex === 4 ? -1 : 1);
+      }
+    }
+    // Other buttons go to the focused control (e.g. ListBox paging with the triggers)
+    else {
+      const control = this.getFocusedControl();
+      if (control && control.handleGamepadButton) {
+        control.handleGamepadButton(buttonIndex);
       }
     }
   }
 
-  focusNext() {
-    if (this.controls.length === 0) return;
-    this.focusIndex = (this.focusIndex + 1) % this.controls.length;
+  // Gamepad right stick scrolls the ScrollView holding the focused control, or else the topmost one
+  updateStickScroll(deltaTime) {
+    const axes = this.getGamepadAxes();
+    if (this.modals.length > 0 || axes.length < 4) {
+      return;
+    }
+
+    const deadzone = this.input.deadzone !== undefined ? this.input.deadzone : 0.2;
+    const axisX = Math.abs(axes[2]) > deadzone ? axes[2] : 0;
+    const axisY = Math.abs(axes[3]) > deadzone ? axes[3] : 0;
+    const target = axisX || axisY ? this.getScrollTarget() : null;
+    if (target) {
+      const distance = (target.stickSpeed * deltaTime) / 1000;
+      target.scrollBy(axisX * distance, axisY * distance);
+    }
   }
 
-  focusPrevious() {
-    if (this.controls.length === 0) return;
-    this.focusIndex = (this.focusIndex - 1 + this.controls.length) % this.controls.length;
+  // Axes of the pad the input manager is using: from its gamepad state, or as reported to onGamepadAxis
+  getGamepadAxes() {
+    const gamepad = this.input.gamepad;
+    if (gamepad && gamepad.axes) {
+      return gamepad.axes;
+    }
+    return this.gamepadAxes;
   }
 
-  // Manually set focus to a specific control or index
-  focusControl(controlOrIndex) {
-    if (this.controls.length === 0 || controlOrIndex === null || controlOrIndex === undefined) {
-      return false;
+  getScrollTarget() {
+    return this.findFocusedOrTopmost(ScrollView);
+  }
+
+  // The innermost control of a type that is or holds the focused control, or else the topmost visible one
+  findFocusedOrTopmost(type) {
+    for (let control = this.getFocusedControl(); control; control = control.parent) {
+      if (control instanceof type) {
+        return control;
+      }
+    }
+    for (let i = this.controls.length - 1; i >= 0; i--) {
+      if (this.controls[i] instanceof type && this.isControlVisible(this.controls[i])) {
+        return this.controls[i];
+      }
+    }
+    return null;
+  }
+
+  // Escape key or gamepad B with no modal open: let the focused control cancel, then use the onEscape
+  // handler, otherwise go back a screen
+  handleEscape() {
+    const control = this.getFocusedControl();
+    if (control && control.handleCancel()) {
+      return;
     }
 
-    const index = typeof controlOrIndex === 'number' ? controlOrIndex : this.controls.indexOf(controlOrIndex);
-    if (index >= 0 && index < this.controls.length) {
-      this.focusIndex = index;
-      return true;
+    if (this.onEscape) {
+      this.onEscape();
+      return;
     }
 
-    return false;
+    const screen = this.getCurrentScreen();
+    if (screen && screen.popOnEscape && this.screens.length > 1) {
+      this.popScreen();
+    }
   }
 
-  addControl(control) {
-    control.manager = this;
-    control.applyTheme(); // Apply theme defaults
-    this.controls.push(control);
-    if (this.focusIndex === -1 && this.controls.length === 1) {
-      this.focusIndex = 0;
+  // Pass a D-pad step (-1 = previous, 1 = next) to a control
+  sendGamepadDirection(control, step) {
+    if (control.handleGamepadAxis) {
+      control.handleGamepadAxis(step);
+    } else if (step < 0 && control.handleGamepadLeft) {
+      control.handleGamepadLeft();
+    } else if (step > 0 && control.handleGamepadRight) {
+      control.handleGamepadRight();
     }
-    return control;
   }
 
-  // Helper method to get theme value with fallback
-  getThemeValue(key, fallback) {
-    return this.theme[key] !== undefined ? this.theme[key] : fallback;
+  getFocusedControl() {
+    if (this.focusIndex >= 0 && this.focusIndex < this.controls.length) {
+      return this.controls[this.focusIndex];
+    }
+    return null;
   }
 
-  removeControl(control) {
-    const index = this.controls.indexOf(control);
-    if (index > -1) {
-      this.controls.splice(index, 1);
-      if (this.focusIndex >= this.controls.length) {
-        this.focusIndex = this.controls.length - 1;
+  // Controls can opt out of focus (e.g. Panel) by setting focusable = false; hidden controls are skipped
+  isFocusable(control) {
+    return control.focusable !== false && this.isControlVisible(control);
+  }
+
+  // Move focus off a control that was hidden or made unfocusable
+  validateFocus() {
+    const control = this.getFocusedControl();
+    if (control && !this.isFocusable(control)) {
+      this.moveFocusLinear(1);
+      if (this.getFocusedControl() === control) {
+        this.focusIndex = -1;
       }
     }
   }
 
-  removeAllControls() {
-    this.controls = [];
-    this.focusIndex = -1;
-    this.texts = [];
-    this.images = [];
-    this.modals = [];
-    this.toasts = [];
-    this.onEscape = null;
+  focusNext() {
+    this.moveFocusLinear(1);
   }
 
-  removeAllControlsExceptToasts() {
-    this.controls = [];
-    this.focusIndex = -1;
-    this.texts = [];
-    this.images = [];
-    this.modals = [];
-    this.onEscape = null;
+  focusPrevious() {
+    this.moveFocusLinear(-1);
   }
 
-  addText(text, x, y, options = {}) {
-    // Use textColor from options, or fall back to theme's textColor
-    const textColor = options.textColor || this.theme.textColor;
+  // Walk the controls array in insertion order, skipping controls that can't take focus
+  moveFocusLinear(step) {
+    const count = this.controls.length;
+    if (count === 0) return;
+
+    let index = this.focusIndex;
+    if (index < 0 && step < 0) index = count;
+    for (let i = 0; i < count; i++) {
+      index = (index + step + count) % count;
+      if (this.isFocusable(this.controls[index])) {
+        this.focusIndex = index;
+        return;
+      }
+    }
+  }
 
-    // Build font string using BuildFontString helper
-    // If user provided complete font string, use it
-    // Otherwise build from individual properties with theme defaults
-    let font;
-    if (options.font) {
-      font = options.font;
-    } else {
-      // Build font from individual properties with theme defaults
-      // Only include properties that are explicitly provided by the user
-      const fontOptions = {};
-      if (options.fontFamily || options.family) {
-        fontOptions.family = options.fontFamily || options.family;
+  setNavigationMode(mode) {
+    this.navigationMode = mode === 'spatial' ? 'spatial' : 'linear';
+  }
+
+  // Move focus in a direction ('up', 'down', 'left', 'right').
+  // Uses the focused control's navUp/navDown/navLeft/navRight override if set, otherwise the nearest
+  // focusable control in that direction, otherwise falls back to the linear order.
+  focusDirection(direction) {
+    const current = this.getFocusedControl();
+    if (!current) {
+      this.moveFocusLinear(1);
+      return this.focusIndex >= 0;
+    }
+
+    const overrideKey = NAV_OVERRIDE_KEYS[direction];
+    const override = current[overrideKey];
+    if (override !== null && override !== undefined) {
+      const target = typeof override === 'number' ? this.controls[override] : override;
+      if (target && this.isFocusable(target) && this.focusControl(target)) {
+        return true;
       }
-      if (options.fontSize || options.size) {
+    }
+
+    const nearest = this.findNearestControl(current, direction);
+    if (nearest) {
+      this.focusIndex = this.controls.indexOf(nearest);
+      return true;
+    }
+
+    if (direction === 'up' || direction === 'left') {
+      this.focusPrevious();
+    } else {
+      this.focusNext();
+    }
+    return this.getFocusedControl() !== current;
+  }
+
+  // Find the focusable control closest to `from` in the given direction using control bounds (or
+  // getNavigationBounds(), e.g. the tab bar of a Tabs control).
+  // Distance along the direction is weighted less than misalignment across it, so controls in the
+  // same column (or row) win over closer controls in a neighbouring one.
+  findNearestControl(fromControl, direction) {
+    const getBounds = (control) => (control.getNavigationBounds ? control.getNavigationBounds() : control);
+    const from = getBounds(fromControl);
+    const vertical = direction === 'up' || direction === 'down';
+    const sign = direction === 'down' || direction === 'right' ? 1 : -1;
+    const fromCenterX = from.x + from.width / 2;
+    const fromCenterY = from.y + from.height / 2;
+
+    let best = null;
+    let bestScore = Infinity;
+
+    for (const candidate of this.controls) {
+      if (candidate === fromControl || !this.isFocusable(candidate)) continue;
+      const control = getBounds(candidate);
+
+      const centerX = control.x + control.width / 2;
+      const centerY = control.y + control.height / 2;
+
+      // Candidate must lie in the pressed direction: its near edge past our center, its far edge past our far edge
+      let inDirection;
+      if (direction === 'down') {
+        inDirection = control.y >= fromCenterY && control.y + control.height > from.y + from.height;
+      } else if (direction === 'up') {
+        inDirection = control.y + control.height <= fromCenterY && control.y < from.y;
+      } else if (direction === 'right') {
+        inDirection = control.x >= fromCenterX && control.x + control.width > from.x + from.width;
+      } else {
+        inDirection = control.x + control.width <= fromCenterX && control.x < from.x;
+      }
+      if (!inDirection) continue;
+
+      // Gap between facing edges along the direction (0 if they overlap)
+      let primary;
+      if (vertical) {
+        primary = sign > 0 ? control.y - (from.y + from.height) : from.y - (control.y + control.height);
+      } else {
+        primary = sign > 0 ? control.x - (from.x + from.width) : from.x - (control.x + control.width);
+      }
+      primary = Math.max(0, primary);
+
+      // Gap across the direction (0 if the controls share a column/row)
+      let secondary;
+      if (vertical) {
+        secondary = Math.max(0, Math.max(from.x, control.x) - Math.min(from.x + from.width, control.x + control.width));
+      } else {
+        secondary = Math.max(0, Math.max(from.y, control.y) - Math.min(from.y + from.height, control.y + control.height));
+      }
+
+      // Tie-break on center distance so the most aligned candidate wins
+      const centerOffset = vertical ? Math.abs(centerX - fromCenterX) : Math.abs(centerY - fromCenterY);
+      const score = primary + secondary * 2 + centerOffset * 0.01;
+
+      if (score < bestScore) {
+        bestScore = score;
+        best = candidate;
+      }
+    }
+
+    return best;
+  }
+
+  // Manually set focus to a specific control or index
+  focusControl(controlOrIndex) {
+    if (this.controls.length === 0 || controlOrIndex === null || controlOrIndex === undefined) {
+      return false;
+    }
+
+    const index = typeof controlOrIndex === 'number' ? controlOrIndex : this.controls.indexOf(controlOrIndex);
+    if (index >= 0 && index < this.controls.length) {
+      this.focusIndex = index;
+      return true;
+    }
+
+    return false;
+  }
+
+  addControl(control) {
+    this.registerControl(control, this.controls.length);
+    return control;
+  }
+
+  // Insert a control (and the children of a container, directly after it) into the controls list
+  registerControl(control, index) {
+    control.manager = this;
+    control.applyTheme(); // Apply theme defaults
+    this.controls.splice(index, 0, control);
+    if (this.focusIndex >= index) {
+      this.focusIndex++;
+    }
+    if (this.focusIndex === -1 && this.isFocusable(control)) {
+      this.focusIndex = index;
+    }
+
+    let nextIndex = index + 1;
+    if (control.children) {
+      for (const child of control.children) {
+        nextIndex = this.registerControl(child, nextIndex);
+      }
+    }
+
+    // Layouts built before they had a manager sized percentages against nothing; lay them out again
+    if (control.invalidateLayout) {
+      control.invalidateLayout();
+      control.layoutChildren();
+    }
+    return nextIndex;
+  }
+
+  // Helper method to get theme value with fallback
+  getThemeValue(key, fallback) {
+    return this.theme[key] !== undefined ? this.theme[key] : fallback;
+  }
+
+  removeControl(control) {
+    // Controls inside a container are removed through the container so it forgets them too
+    if (control.parent) {
+      control.parent.removeChild(control);
+      return;
+    }
+    this.unregisterControl(control);
+  }
+
+  // Remove a control and, for containers, all of its descendants from the controls list
+  unregisterControl(control) {
+    const focused = this.getFocusedControl();
+    const removed = [control];
+    for (let i = 0; i < removed.length; i++) {
+      if (removed[i].children) {
+        removed.push(...removed[i].children);
+      }
+    }
+
+    for (const item of removed) {
+      const index = this.controls.indexOf(item);
+      if (index > -1) {
+        this.controls.splice(index, 1);
+        if (index < this.focusIndex) {
+          this.focusIndex--;
+        }
+      }
+      if (this.pointerCapture === item) {
+        this.releasePointerCapture();
+      }
+      if (this.inputCapture === item) {
+        this.cancelInputCapture();
+      }
+    }
+
+    if (focused && !removed.includes(focused)) {
+      this.focusIndex = this.controls.indexOf(focused);
+    } else if (this.focusIndex >= this.controls.length) {
+      this.focusIndex = this.controls.length - 1;
+    }
+  }
+
+  removeAllControls() {
+    this.controls = [];
+    this.focusIndex = -1;
+    this.pointerCapture = null;
+    this.cancelInputCapture();
+    this.texts = [];
+    this.images = [];
+    this.closeAllModals();
+    this.toasts = [];
+    this.toastQueue = [];
+    this.onEscape = null;
+  }
+
+  removeAllControlsExceptToasts() {
+    this.controls = [];
+    this.focusIndex = -1;
+    this.pointerCapture = null;
+    this.cancelInputCapture();
+    this.texts = [];
+    this.images = [];
+    this.closeAllModals();
+    this.onEscape = null;
+  }
+
+  // Tell controls that support it (handleResize) about the current canvas size
+  notifyResize() {
+    for (const control of this.controls) {
+      if (control.handleResize) {
+        control.handleResize(this.width, this.height);
+      }
+    }
+  }
+
+  getCurrentScreen() {
+    return this.screens.length > 0 ? this.screens[this.screens.length - 1] : null;
+  }
+
+  // Show a screen on top of the current one. The current screen keeps its controls, texts, images,
+  // focus and escape handler until it is shown again by popScreen().
+  pushScreen(screen, options = {}) {
+    const from = this.getScreenLayer();
+    const previous = this.getCurrentScreen();
+    if (previous) {
+      this.deactivateScreen(previous);
+    } else {
+      // Keep anything built before the first push as a base screen to come back to
+      const base = this.createBaseScreen();
+      if (base) {
+        this.screens.push(base);
+        this.deactivateScreen(base);
+      }
+    }
+
+    this.screens.push(screen);
+    this.activateScreen(screen);
+    this.startScreenTransition(from, options.transition, 1);
+    return screen;
+  }
+
+  // Remove the current screen and return to the previous one with its focus restored.
+  // The last screen can't be popped.
+  popScreen(options = {}) {
+    if (this.screens.length <= 1) {
+      return null;
+    }
+
+    const from = this.getScreenLayer();
+    const screen = this.screens.pop();
+    this.deactivateScreen(screen);
+    this.activateScreen(this.getCurrentScreen());
+    this.startScreenTransition(from, options.transition, -1);
+    return screen;
+  }
+
+  // Swap the current screen for another without returning to the previous one. Returns the replaced
+  // screen; before the first screen, that is a base screen holding whatever was built so far.
+  replaceScreen(screen, options = {}) {
+    const from = this.getScreenLayer();
+    const current = this.screens.pop() || this.createBaseScreen();
+    if (current) {
+      this.deactivateScreen(current);
+    }
+
+    this.screens.push(screen);
+    this.activateScreen(screen);
+    this.startScreenTransition(from, options.transition, 1);
+    return current || null;
+  }
+
+  // Screen for the controls, texts and images added before any screen was shown, or null if there are none
+  createBaseScreen() {
+    if (this.controls.length === 0 && this.texts.length === 0 && this.images.length === 0) {
+      return null;
+    }
+    const base = new Screen({ name: 'base' });
+    base.built = true;
+    return base;
+  }
+
+  getScreenLayer() {
+    return { controls: this.controls, texts: this.texts, images: this.images, focusIndex: this.focusIndex };
+  }
+
+  // Animate from the previous screen's layer to the current one. Direction 1 slides the new screen in
+  // from the right (push), -1 from the left (pop).
+  startScreenTransition(from, type = this.screenTransition, direction = 1) {
+    if (this.transition) {
+      this.stopTweens(this.transition);
+      this.transition = null;
+    }
+    const isEmpty = from.controls.length === 0 && from.texts.length === 0 && from.images.length === 0;
+    if (!this.animationsEnabled || type === 'none' || isEmpty) {
+      return;
+    }
+    const transition = { from, type, direction, progress: 0 };
+    this.transition = transition;
+    this.tween(transition, { progress: 1 }, { duration: this.screenTransitionDuration, easing: 'easeInOutQuad' }).finished.then(() => {
+      if (this.transition === transition) {
+        this.transition = null;
+      }
+    });
+  }
+
+  // Store the live state in the screen and call its onExit hook
+  deactivateScreen(screen) {
+    screen.controls = this.controls;
+    screen.texts = this.texts;
+    screen.images = this.images;
+    screen.focusIndex = this.focusIndex;
+    screen.onEscape = this.onEscape;
+    screen.ui = null;
+    this.pointerCapture = null;
+    this.cancelInputCapture();
+
+    if (screen.onExit) {
+      screen.onExit(this, screen);
+    }
+  }
+
+  // Load the screen's state, building it on first use, and call its onEnter hook
+  activateScreen(screen) {
+    this.controls = screen.controls;
+    this.texts = screen.texts;
+    this.images = screen.images;
+    this.focusIndex = screen.focusIndex;
+    this.onEscape = screen.onEscape;
+    this.pointerCapture = null;
+    screen.ui = this;
+
+    if (!screen.built) {
+      screen.built = true;
+      screen.build(this);
+    } else {
+      // The canvas may have been resized while the screen was hidden
+      this.notifyResize();
+    }
+
+    if (screen.onEnter) {
+      screen.onEnter(this, screen);
+    }
+  }
+
+  addText(text, x, y, options = {}) {
+    // Use textColor from options, or fall back to theme's textColor
+    const textColor = options.textColor || this.theme.textColor;
+
+    // Build font string using BuildFontString helper
+    // If user provided complete font string, use it
+    // Otherwise build from individual properties with theme defaults
+    let font;
+    if (options.font) {
+      font = options.font;
+    } else {
+      // Build font from individual properties with theme defaults
+      // Only include properties that are explicitly provided by the user
+      const fontOptions = {};
+      if (options.fontFamily || options.family) {
+        fontOptions.family = options.fontFamily || options.family;
+      }
+      if (options.fontSize || options.size) {
         fontOptions.size = options.fontSize || options.size;
       }
       if (options.fontWeight || options.weight) {
@@ -509,10 +1580,105 @@ export class MarkJSCanvasUI {
       align: options.align || 'left',
       baseline: options.baseline || 'top',
     };
+
+    // RichText is drawn run by run from the font parts, wrapped at maxWidth
+    if (text instanceof RichText) {
+      textObj.richStyle = {
+        fontFamily: options.fontFamily || options.family || this.defaultFont.family,
+        fontSize: options.fontSize || options.size || this.defaultFont.size,
+        fontWeight: options.fontWeight || options.weight || this.defaultFont.weight,
+        fontStyle: options.fontStyle || options.style || this.defaultFont.style,
+        lineHeight: options.lineHeight,
+        maxWidth: options.maxWidth,
+      };
+    }
     this.texts.push(textObj);
     return textObj;
   }
 
+  // Make an image (or a draw function (ctx, x, y, size)) available to RichText as [icon:name]
+  registerIcon(name, icon) {
+    this.icons[name] = icon;
+  }
+
+  // Turn the screen reader mirror on or off
+  setAccessibility(enabled) {
+    if (enabled && !this.accessibility) {
+      this.accessibility = new AccessibilityBridge(this);
+    } else if (!enabled && this.accessibility) {
+      this.accessibility.destroy();
+      this.accessibility = null;
+    }
+  }
+
+  // Have screen readers read a message ('assertive' interrupts what is being read); does nothing without
+  // the accessibility mirror
+  announce(message, priority = 'polite') {
+    if (this.accessibility) {
+      this.accessibility.announce(String(message), priority);
+    }
+  }
+
+  // Add or extend a locale's string table. Values are strings with {name} placeholders, or plural forms
+  // { zero, one, few, many, other } chosen by the count parameter.
+  addStrings(locale, strings) {
+    this.strings[locale] = { ...this.strings[locale], ...strings };
+  }
+
+  // Switch language; LocalizedText labels show the new strings from the next frame
+  setLocale(locale) {
+    this.locale = locale;
+    this.pluralRules = null;
+    if (this.onLocaleChange) {
+      this.onLocaleChange(locale);
+    }
+  }
+
+  // Look up a string in the current locale and fill in its parameters
+  translate(key, params = {}) {
+    let entry = this.findString(key);
+    if (entry === undefined) {
+      return String(key);
+    }
+    if (typeof entry === 'object') {
+      const form = this.getPluralForm(entry, Number(params.count));
+      entry = entry[form] !== undefined ? entry[form] : entry.other;
+    }
+    return String(entry).replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+  }
+
+  // Label that re-resolves its key whenever it is drawn, so it follows setLocale()
+  t(key, params = {}) {
+    return new LocalizedText(this, key, params);
+  }
+
+  findString(key) {
+    for (const table of [this.strings[this.locale], this.strings[this.fallbackLocale], DEFAULT_STRINGS]) {
+      if (table && table[key] !== undefined) {
+        return table[key];
+      }
+    }
+    return undefined;
+  }
+
+  // Plural form for a count in the current locale; an explicit 'zero' form is used for 0 in any language
+  getPluralForm(entry, count) {
+    if (count === 0 && entry.zero !== undefined) {
+      return 'zero';
+    }
+    if (!this.pluralRules && typeof Intl !== 'undefined' && Intl.PluralRules) {
+      try {
+        this.pluralRules = new Intl.PluralRules(this.locale);
+      } catch {
+        this.pluralRules = new Intl.PluralRules('en'); // Unknown locale tag
+      }
+    }
+    if (!this.pluralRules) {
+      return count === 1 ? 'one' : 'other';
+    }
+    return this.pluralRules.select(count);
+  }
+
   addImage(image, x, y, width, height) {
     const imageObj = { image, x, y, width, height };
     this.images.push(imageObj);
@@ -571,59 +1737,502 @@ export class MarkJSCanvasUI {
   showModal(title, message, buttons = [], options = {}) {
     const modal = new Modal(this, title, message, buttons, options);
     this.modals.push(modal);
+    if (this.animationsEnabled && modal.animated) {
+      modal.alpha = 0;
+      modal.scale = 0.9;
+      this.tween(modal, { alpha: 1, scale: 1 }, { duration: 200, easing: 'easeOutCubic' });
+    }
     return modal;
   }
 
+  // Message box with an OK button. Resolves to true when OK is chosen, or null when dismissed
+  // (Escape, gamepad B or options.signal)
+  alert(message, options = {}) {
+    const { title = '', okLabel = this.t('ui.ok'), ...dialogOptions } = options;
+    return this.showDialog(title, message, [{ label: okLabel, value: true }], dialogOptions);
+  }
+
+  // OK/Cancel question resolving to true or false, or null when dismissed. With options.buttons (an
+  // array of labels) it resolves to the chosen label instead.
+  confirm(message, options = {}) {
+    const { title = '', okLabel = this.t('ui.ok'), cancelLabel = this.t('ui.cancel'), buttons = null, ...dialogOptions } = options;
+    const dialogButtons = buttons
+      ? buttons.map((label) => ({ label, value: label }))
+      : [
+          { label: okLabel, value: true },
+          { label: cancelLabel, value: false },
+        ];
+    return this.showDialog(title, message, dialogButtons, dialogOptions);
+  }
+
+  // Ask for a line of text. Resolves to the entered text when OK (or Enter) is chosen, or null when
+  // cancelled or dismissed. options.inputOptions are passed to the TextInput (e.g. maxLength, password).
+  prompt(message, defaultValue = '', options = {}) {
+    const { title = '', okLabel = this.t('ui.ok'), cancelLabel = this.t('ui.cancel'), placeholder = '', inputOptions = {}, ...dialogOptions } = options;
+    const input = new TextInput(0, 0, placeholder, {
+      width: 400,
+      ...inputOptions,
+      onSubmit: () => {
+        const modal = this.modals.find((candidate) => candidate.content && candidate.content.includes(input));
+        if (modal) {
+          modal.pressButton(0);
+        }
+      },
+    });
+    input.setValue(String(defaultValue));
+    input.selectAll();
+
+    const dialogButtons = [
+      { label: okLabel, value: () => input.value },
+      { label: cancelLabel, value: null },
+    ];
+    return this.showDialog(title, message, dialogButtons, { ...dialogOptions, content: [input] });
+  }
+
+  // Show a modal whose buttons ({ label, value }) settle the returned promise with their value (a function
+  // value is called when the button is chosen). Escape and gamepad B resolve null, unless escapeButtonLabel
+  // names a button to choose instead, and so does closing the modal from code or aborting options.signal.
+  // The modal's onEscape and onClose are used to settle the promise; ones given in options are called first.
+  showDialog(title, message, buttons, options = {}) {
+    const { signal = null, onEscape = null, onClose = null, ...modalOptions } = options;
+    if (signal && signal.aborted) {
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve) => {
+      let result = null;
+      const modalButtons = buttons.map((button) => ({
+        label: button.label,
+        callback: () => {
+          result = typeof button.value === 'function' ? button.value() : button.value;
+        },
+      }));
+      const dismiss = () => {
+        if (onEscape) {
+          onEscape();
+        }
+        result = null;
+      };
+      const abort = () => this.closeModal(modal);
+      const modal = this.showModal(title, message, modalButtons, {
+        ...modalOptions,
+        onEscape: modalOptions.escapeButtonLabel && !onEscape ? null : dismiss,
+        onClose: () => {
+          if (onClose) {
+            onClose();
+          }
+          if (signal) {
+            signal.removeEventListener('abort', abort);
+          }
+          resolve(result);
+        },
+      });
+      if (signal) {
+        signal.addEventListener('abort', abort, { once: true });
+      }
+    });
+  }
+
+  // Remove a modal from input straight away; animated modals fade out before they stop being drawn
   closeModal(modal) {
     const index = this.modals.indexOf(modal);
     if (index > -1) {
       this.modals.splice(index, 1);
+      if (modal.onClose) {
+        modal.onClose();
+      }
+      if (this.animationsEnabled && modal.animated) {
+        this.closingModals.push(modal);
+        this.tween(modal, { alpha: 0, scale: 0.95 }, { duration: 150, easing: 'easeInQuad' }).finished.then(() => {
+          const closingIndex = this.closingModals.indexOf(modal);
+          if (closingIndex > -1) {
+            this.closingModals.splice(closingIndex, 1);
+          }
+        });
+      }
     }
   }
 
-  showToast(message, type = 'info', duration = 3000) {
-    const toast = new Toast(this, message, type, duration);
-    this.toasts.push(toast);
-
-    setTimeout(() => {
-      const index = this.toasts.indexOf(toast);
-      if (index > -1) {
-        this.toasts.splice(index, 1);
+  // Close every modal at once, without exit animations; their onClose callbacks still run, so pending
+  // alert/confirm/prompt promises resolve null
+  closeAllModals() {
+    const modals = this.modals;
+    this.modals = [];
+    this.closingModals = [];
+    for (const modal of modals) {
+      if (modal.onClose) {
+        modal.onClose();
       }
-    }, duration);
+    }
+  }
+
+  // Open an on-screen keyboard editing a TextInput; it is shown and closed like a modal
+  showVirtualKeyboard(textInput, options = {}) {
+    const keyboard = new VirtualKeyboard(this, textInput, options);
+    this.modals.push(keyboard);
+    return keyboard;
+  }
+
+  // Replace parts of the virtual keyboard layout, e.g. { labels: { '{done}': 'OK' } } or new layers
+  setKeyboardLayout(layout) {
+    this.keyboardLayout = mergeKeyboardLayout(this.getDefaultKeyboardLayout(), layout);
+  }
+
+  // The default layout with ui.t() labels for the special keys
+  getDefaultKeyboardLayout() {
+    const labels = {};
+    for (const [key, stringKey] of Object.entries(DEFAULT_KEYBOARD_LABEL_KEYS)) {
+      labels[key] = this.t(stringKey);
+    }
+    return mergeKeyboardLayout(DEFAULT_KEYBOARD_LAYOUT, { labels });
+  }
 
+  // Show a toast, or queue it until one of the maxToasts on screen has gone. Its duration counts
+  // update() time while it is on screen and the pointer isn't resting on it.
+  showToast(message, type = 'info', duration = 3000) {
+    const toast = new Toast(this, message, type, duration);
+    this.toastQueue.push(toast);
+    this.showQueuedToasts();
     return toast;
   }
 
-  update(deltaTime) {
-    // Update controls
-    for (let control of this.controls) {
-      if (control.update) {
-        control.update(deltaTime);
+  // Bring queued toasts on screen while there is room (toasts on their way out don't take a place)
+  showQueuedToasts() {
+    while (this.toastQueue.length > 0 && this.toasts.filter((toast) => !toast.closing).length < this.maxToasts) {
+      const toast = this.toastQueue.shift();
+      toast.measure(this.ctx);
+      this.toasts.push(toast);
+      this.announce(toast.message, toast.type === 'error' ? 'assertive' : 'polite');
+      if (this.animationsEnabled) {
+        Object.assign(toast, this.getToastHiddenState(toast));
+        this.tween(toast, { offsetX: 0, offsetY: 0, alpha: 1 }, { duration: 250, easing: 'easeOutCubic' });
       }
     }
+    this.layoutToasts(0);
+  }
 
-    // Update modals
-    for (let modal of this.modals) {
-      if (modal.update) {
-        modal.update(deltaTime);
-      }
+  // Remove a toast before its time is up, with its exit animation. A queued toast is dropped.
+  dismissToast(toast) {
+    const queued = this.toastQueue.indexOf(toast);
+    if (queued > -1) {
+      this.toastQueue.splice(queued, 1);
+      return;
+    }
+    if (toast.closing || !this.toasts.includes(toast)) {
+      return;
+    }
+    toast.closing = true;
+    if (this.animationsEnabled) {
+      const exit = this.tween(toast, { ...this.getToastHiddenState(toast), alpha: 0 }, { duration: 200, easing: 'easeInQuad' });
+      exit.finished.then(() => this.removeToast(toast));
+    } else {
+      this.removeToast(toast);
     }
   }
 
-  render() {
-    if (!this.options.noBackground) {
-      if (this.options.backgroundGradient) {
-        const direction = this.options.gradientDirection || 'diagonal';
-        let gradient;
+  removeToast(toast) {
+    const index = this.toasts.indexOf(toast);
+    if (index > -1) {
+      this.toasts.splice(index, 1);
+    }
+  }
 
-        // Create gradient based on direction
-        if (direction === 'horizontal') {
-          gradient = this.ctx.createLinearGradient(0, 0, this.canvas.width, 0);
+  // Where a toast slides (or fades) in from and out to: off the nearest side edge, or for centered toasts
+  // a short way towards the top or bottom edge so they don't cross the rest of the stack
+  getToastHiddenState(toast) {
+    const [vertical, horizontal] = this.toastPosition.split('-');
+    if (this.toastAnimation === 'fade') {
+      return { alpha: 0 };
+    }
+    if (horizontal === 'center') {
+      return { offsetY: vertical === 'bottom' ? 20 : -20, alpha: 0 };
+    }
+    const offscreen = toast.width + 20;
+    return { offsetX: horizontal === 'left' ? -offscreen : offscreen };
+  }
+
+  updateToasts(deltaTime) {
+    this.showQueuedToasts();
+
+    // Time stands still for the toast under the mouse pointer
+    this.hoverToast = this.pointerOverCanvas ? this.getToastAt(this.hoverX, this.hoverY) : null;
+    for (const toast of [...this.toasts]) {
+      if (!toast.closing && toast !== this.hoverToast) {
+        toast.elapsed += deltaTime;
+        if (toast.elapsed >= toast.duration) {
+          this.dismissToast(toast);
+        }
+      }
+    }
+
+    this.layoutToasts(deltaTime);
+  }
+
+  // Place toasts in a stack from the toastPosition edge, the oldest nearest to it. When a toast leaves,
+  // the ones after it glide into the space.
+  layoutToasts(deltaTime) {
+    const [vertical, horizontal] = this.toastPosition.split('-');
+    const margin = 20;
+    const gap = 10;
+    let edge = vertical === 'bottom' ? this.height - margin : margin;
+    for (const toast of this.toasts) {
+      if (horizontal === 'left') {
+        toast.x = margin;
+      } else if (horizontal === 'center') {
+        toast.x = (this.width - toast.width) / 2;
+      } else {
+        toast.x = this.width - toast.width - margin;
+      }
+
+      const targetY = vertical === 'bottom' ? edge - toast.height : edge;
+      edge += (vertical === 'bottom' ? -1 : 1) * (toast.height + gap);
+      if (toast.y === null || !this.animationsEnabled) {
+        toast.y = targetY;
+      } else {
+        toast.y += (targetY - toast.y) * (1 - Math.exp(-deltaTime / 60));
+      }
+    }
+  }
+
+  // Topmost toast drawn at (x, y), ignoring toasts on their way out
+  getToastAt(x, y) {
+    for (let i = this.toasts.length - 1; i >= 0; i--) {
+      const toast = this.toasts[i];
+      if (!toast.closing && toast.containsPoint(x, y)) {
+        return toast;
+      }
+    }
+    return null;
+  }
+
+  // Animate numeric properties of a control (or any object) to new values, e.g.
+  // ui.tween(button, { x: 300, alpha: 1 }, { duration: 400, easing: 'easeOutBack' }).
+  // A property already animated by another tween is taken over by the new one.
+  tween(target, props, options = {}) {
+    const tween = new Tween(target, props, options);
+    for (const other of this.tweens) {
+      if (other.target === target) {
+        Object.keys(props).forEach((key) => other.release(key));
+      }
+    }
+    this.tweens.push(tween);
+    return tween;
+  }
+
+  // Stop the tweens of a target (all tweens without one)
+  stopTweens(target = null, jumpToEnd = false) {
+    for (const tween of this.tweens) {
+      if (target === null || tween.target === target) {
+        tween.stop(jumpToEnd);
+      }
+    }
+  }
+
+  // Promise resolved after a number of milliseconds of update() time
+  wait(duration) {
+    return this.tween({}, {}, { duration }).finished;
+  }
+
+  // Run steps one after another. A step is a function (called when the previous step is done) or a value;
+  // a Tween or promise is waited for, and an array runs its steps side by side.
+  async sequence(steps) {
+    const run = async (step) => {
+      const result = typeof step === 'function' ? step() : step;
+      if (Array.isArray(result)) {
+        await Promise.all(result.map(run));
+      } else if (result instanceof Tween) {
+        await result.finished;
+      } else {
+        await result;
+      }
+    };
+    for (const step of steps) {
+      await run(step);
+    }
+  }
+
+  updateTweens(deltaTime) {
+    // Tweens started from callbacks during this loop run from the next frame
+    for (const tween of [...this.tweens]) {
+      tween.update(deltaTime);
+    }
+    this.tweens = this.tweens.filter((tween) => !tween.done);
+  }
+
+  update(deltaTime) {
+    this.updateTweens(deltaTime);
+    this.updateToasts(deltaTime);
+
+    // Let controls react to a change of the UI size (canvas resized without a design resolution)
+    if (!this.resizeObserver) {
+      this.canvasRect = null;
+    }
+    this.updateViewport();
+    this.updateStickScroll(deltaTime);
+    if (this.width !== this.lastWidth || this.height !== this.lastHeight) {
+      this.lastWidth = this.width;
+      this.lastHeight = this.height;
+      this.notifyResize();
+    }
+
+    // Move focus off controls that were hidden since the last frame
+    this.validateFocus();
+
+    // Update controls
+    for (let control of this.controls) {
+      if (control.update) {
+        control.update(deltaTime);
+      }
+    }
+
+    // Update modals
+    for (let modal of this.modals) {
+      if (modal.update) {
+        modal.update(deltaTime);
+      }
+    }
+
+    this.updateTooltip(deltaTime);
+
+    if (this.accessibility) {
+      this.accessibility.update(deltaTime);
+    }
+  }
+
+  // Choose the tooltip to draw: the hovered control's after the delay (at once when moving from one
+  // tooltip to the next), or the focused control's after keyboard/gamepad navigation
+  updateTooltip(deltaTime) {
+    let tooltip = null;
+    if (this.tooltipsEnabled && this.modals.length === 0 && !this.pointerCapture && !this.inputCapture) {
+      if (this.lastInputSource === 'pointer') {
+        const control = this.hoverControl;
+        if (control && this.controls.includes(control) && this.isControlVisible(control)) {
+          this.hoverTime += deltaTime;
+          const content = control.getTooltip(this.hoverX, this.hoverY);
+          if (content && (this.hoverTime >= this.tooltipDelay || this.activeTooltip)) {
+            tooltip = { content, x: this.hoverX, y: this.hoverY };
+          }
+        }
+      } else {
+        const control = this.getFocusedControl();
+        const content = control ? control.getTooltip() : null;
+        if (content) {
+          tooltip = { content, bounds: control.getTooltipBounds() };
+        }
+      }
+    }
+    this.activeTooltip = tooltip;
+  }
+
+  // Draw the tooltip as a word-wrapped bubble kept inside the UI area: below the pointer or the focused
+  // control, or above when there isn't room below
+  drawTooltip(ctx) {
+    const tooltip = this.activeTooltip;
+    if (!tooltip) {
+      return;
+    }
+    const { title, text } = isText(tooltip.content) ? { title: null, text: tooltip.content } : tooltip.content;
+    const fontSize = this.theme.tooltipFontSize;
+    const font = `${fontSize}px ${this.theme.fontFamily}`;
+    const titleFont = `bold ${fontSize}px ${this.theme.fontFamily}`;
+    const padding = 8;
+    const lineHeight = Math.round(fontSize * 1.3);
+    const maxTextWidth = Math.min(this.tooltipMaxWidth, this.width - 8) - padding * 2;
+    const measure = (line) => ctx.measureText(line);
+
+    // Title and text wrapped to the tooltip width; RichText is laid out by its runs
+    const blocks = [];
+    for (const [content, blockFont, fontWeight] of [
+      [title, titleFont, 'bold'],
+      [text, font, 'normal'],
+    ]) {
+      if (!content) {
+        continue;
+      }
+      if (content instanceof RichText) {
+        const style = { fontFamily: this.theme.fontFamily, fontSize, fontWeight, lineHeight, maxWidth: maxTextWidth };
+        const layout = content.layout(ctx, style);
+        blocks.push({ richText: content, style, width: layout.width, height: layout.height });
+      } else {
+        ctx.font = blockFont;
+        const lines = wrapText(String(content), maxTextWidth, measure);
+        const width = Math.max(0, ...lines.map((line) => measure(line).width));
+        blocks.push({ lines, font: blockFont, width, height: lines.length * lineHeight });
+      }
+    }
+    const textWidth = Math.max(0, ...blocks.map((block) => block.width));
+    const textHeight = blocks.reduce((total, block) => total + block.height, 0);
+
+    const width = Math.min(textWidth, maxTextWidth) + padding * 2;
+    const height = textHeight + padding * 2;
+
+    let x, y;
+    if (tooltip.bounds) {
+      const bounds = tooltip.bounds;
+      x = bounds.x;
+      y = bounds.y + bounds.height + 6;
+      if (y + height > this.height) {
+        y = bounds.y - height - 6;
+      }
+    } else {
+      x = tooltip.x + 12;
+      y = tooltip.y + 20;
+      if (y + height > this.height) {
+        y = tooltip.y - height - 8;
+      }
+    }
+    x = Math.max(4, Math.min(this.width - width - 4, x));
+    y = Math.max(4, Math.min(this.height - height - 4, y));
+
+    ctx.beginPath();
+    DrawRoundedRect(ctx, x, y, width, height, Math.min(this.theme.borderRadius, 6));
+    ctx.fillStyle = this.theme.tooltipSurfaceColor;
+    ctx.fill();
+    ctx.strokeStyle = this.theme.tooltipBorderColor;
+    ctx.lineWidth = 1;
+    ctx.stroke();
+
+    ctx.fillStyle = this.theme.tooltipTextColor;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    let top = y + padding;
+    for (const block of blocks) {
+      if (block.richText) {
+        const style = { ...block.style, color: this.theme.tooltipTextColor, align: 'left', baseline: 'top', icons: this.icons };
+        block.richText.draw(ctx, x + padding, top, style);
+      } else {
+        ctx.font = block.font;
+        block.lines.forEach((line, index) => ctx.fillText(line, x + padding, top + index * lineHeight + lineHeight / 2));
+      }
+      top += block.height;
+    }
+  }
+
+  render() {
+    // With a design resolution, draw everything in design coordinates scaled to the backing store
+    this.updateViewport();
+    const scaled = this.designWidth > 0 && this.designHeight > 0;
+    if (scaled) {
+      this.ctx.save();
+      this.ctx.setTransform(this.viewScale, 0, 0, this.viewScale, this.viewOffsetX, this.viewOffsetY);
+    }
+
+    if (!this.options.noBackground) {
+      // Cover the whole canvas, including any letterbox area around the design area
+      const bounds = this.getVisibleBounds();
+      if (this.options.backgroundGradient) {
+        const direction = this.options.gradientDirection || 'diagonal';
+        const right = bounds.x + bounds.width;
+        const bottom = bounds.y + bounds.height;
+        let gradient;
+
+        // Create gradient based on direction
+        if (direction === 'horizontal') {
+          gradient = this.ctx.createLinearGradient(bounds.x, 0, right, 0);
         } else if (direction === 'vertical') {
-          gradient = this.ctx.createLinearGradient(0, 0, 0, this.canvas.height);
+          gradient = this.ctx.createLinearGradient(0, bounds.y, 0, bottom);
         } else {
-          gradient = this.ctx.createLinearGradient(0, 0, this.canvas.width, this.canvas.height);
+          gradient = this.ctx.createLinearGradient(bounds.x, bounds.y, right, bottom);
         }
 
         for (let stop of this.options.backgroundGradient) {
@@ -633,53 +2242,542 @@ export class MarkJSCanvasUI {
       } else {
         this.ctx.fillStyle = this.options.backgroundColor;
       }
-      this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+      this.ctx.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
     }
 
-    // Draw panels first (background layer)
-    for (let i = 0; i < this.controls.length; i++) {
-      const control = this.controls[i];
-      if (control.constructor.name === 'Panel') {
-        control.draw(this.ctx, false); // Panels never get focus
+    // During a screen transition the previous screen is drawn too, fading or sliding out
+    const transition = this.transition;
+    if (transition) {
+      const progress = transition.progress;
+      const from = transition.from;
+      const slide = transition.type === 'slide' ? transition.direction * this.width : 0;
+      this.ctx.save();
+      this.ctx.globalAlpha *= transition.type === 'fade' ? 1 - progress : 1;
+      this.ctx.translate(-slide * progress, 0);
+      this.drawScreenLayer(this.ctx, from.controls, from.texts, from.images, from.focusIndex);
+      this.ctx.restore();
+
+      this.ctx.save();
+      this.ctx.globalAlpha *= transition.type === 'fade' ? progress : 1;
+      this.ctx.translate(slide * (1 - progress), 0);
+      this.drawScreenLayer(this.ctx, this.controls, this.texts, this.images, this.focusIndex);
+      this.ctx.restore();
+    } else {
+      this.drawScreenLayer(this.ctx, this.controls, this.texts, this.images, this.focusIndex);
+    }
+
+    this.drawTooltip(this.ctx);
+
+    // Draw modals (closing ones underneath while they fade out)
+    for (let modal of this.closingModals) {
+      modal.draw(this.ctx);
+    }
+    for (let modal of this.modals) {
+      modal.draw(this.ctx);
+    }
+
+    // Draw toasts
+    for (let toast of this.toasts) {
+      toast.draw(this.ctx);
+    }
+
+    if (scaled) {
+      this.ctx.restore();
+    }
+  }
+
+  // Draw a screen's panels, images, texts and controls
+  drawScreenLayer(ctx, controls, texts, images, focusIndex) {
+    // Draw top-level panels first (background layer)
+    for (let i = 0; i < controls.length; i++) {
+      const control = controls[i];
+      if (control instanceof Panel && !control.parent && control.visible) {
+        drawWithEffects(ctx, control, () => control.draw(ctx, false)); // Panels never get focus
       }
     }
 
     // Draw images
-    for (let img of this.images) {
+    for (let img of images) {
       if (img.image.complete) {
-        this.ctx.drawImage(img.image, img.x, img.y, img.width, img.height);
+        ctx.drawImage(img.image, img.x, img.y, img.width, img.height);
       }
     }
 
     // Draw texts
-    for (let text of this.texts) {
-      this.ctx.font = text.font;
-      this.ctx.fillStyle = text.color;
-      this.ctx.textAlign = text.align;
-      this.ctx.textBaseline = text.baseline;
-      this.ctx.fillText(text.text, text.x, text.y);
+    for (let text of texts) {
+      if (text.text instanceof RichText) {
+        const style = { ...text.richStyle, color: text.color, align: text.align, baseline: text.baseline, icons: this.icons };
+        text.text.draw(ctx, text.x, text.y, style);
+        continue;
+      }
+      ctx.font = text.font;
+      ctx.fillStyle = text.color;
+      ctx.textAlign = text.align;
+      ctx.textBaseline = text.baseline;
+      ctx.fillText(text.text, text.x, text.y);
     }
 
-    // Draw other controls (interactive layer)
-    for (let i = 0; i < this.controls.length; i++) {
-      const control = this.controls[i];
-      if (control.constructor.name !== 'Panel') {
-        const isFocused = i === this.focusIndex;
-        control.draw(this.ctx, isFocused);
+    // Draw other controls (interactive layer); containers draw their own children
+    for (let i = 0; i < controls.length; i++) {
+      const control = controls[i];
+      if (control.parent || !control.visible) {
+        continue;
+      }
+      drawWithEffects(ctx, control, () => {
+        if (control instanceof Container) {
+          if (!(control instanceof Panel)) {
+            control.draw(ctx, i === focusIndex);
+          }
+          control.drawChildren(ctx);
+        } else {
+          const isFocused = i === focusIndex;
+          control.draw(ctx, isFocused);
+        }
+      });
+    }
+  }
+}
+
+// Screen - a set of controls, texts and images shown together, managed with ui.pushScreen/popScreen
+export class Screen {
+  constructor(options = {}) {
+    this.name = options.name || '';
+    this.ui = null; // Set while the screen is active
+
+    // State owned by the screen, swapped in and out of the manager
+    this.controls = [];
+    this.texts = [];
+    this.images = [];
+    this.focusIndex = -1;
+    this.onEscape = options.onEscape || null;
+
+    // Escape / gamepad B goes back to the previous screen when there is no onEscape handler
+    this.popOnEscape = options.popOnEscape !== false;
+
+    // Lifecycle hooks: (ui, screen)
+    this.buildCallback = options.build || null;
+    this.onEnter = options.onEnter || null;
+    this.onExit = options.onExit || null;
+    this.built = false;
+  }
+
+  // Called once, the first time the screen becomes active. Controls, texts and images added to the
+  // ui here belong to this screen. Override in a subclass or pass options.build.
+  build(ui) {
+    if (this.buildCallback) {
+      this.buildCallback(ui, this);
+    }
+  }
+}
+
+// Easing curves for tweens: each maps progress (0-1) to eased progress
+export const Easing = {
+  linear: (t) => t,
+  easeInQuad: (t) => t * t,
+  easeOutQuad: (t) => t * (2 - t),
+  easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+  easeInCubic: (t) => t * t * t,
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  // Overshoots slightly before settling
+  easeOutBack: (t) => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2),
+  easeOutBounce: (t) => {
+    if (t < 1 / 2.75) return 7.5625 * t * t;
+    if (t < 2 / 2.75) return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
+    if (t < 2.5 / 2.75) return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+    return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
+  },
+};
+
+// Tween - animates numeric properties of any object (a control's x, y, width, alpha, scale...) from their
+// values when it starts to the given targets. Created with ui.tween() and advanced by ui.update(deltaTime).
+export class Tween {
+  constructor(target, props, options = {}) {
+    this.target = target;
+    this.to = { ...props };
+    this.from = null; // Start values, read when the delay has passed
+    this.duration = options.duration !== undefined ? options.duration : 300; // Milliseconds
+    this.delay = options.delay || 0;
+    this.easing = typeof options.easing === 'function' ? options.easing : Easing[options.easing || 'easeOutQuad'] || Easing.linear;
+    this.onUpdate = options.onUpdate || null; // Called with (progress, target) every frame
+    this.onComplete = options.onComplete || null;
+    this.elapsed = 0;
+    this.done = false;
+
+    // Resolves with true when the tween completes, or false if it is stopped first
+    this.finished = new Promise((resolve) => {
+      this.resolveFinished = resolve;
+    });
+  }
+
+  // Advance by deltaTime milliseconds; returns false once the tween has finished
+  update(deltaTime) {
+    if (this.done) {
+      return false;
+    }
+    this.elapsed += deltaTime;
+    const time = this.elapsed - this.delay;
+    if (time < 0) {
+      return true;
+    }
+
+    if (!this.from) {
+      this.from = {};
+      for (const key of Object.keys(this.to)) {
+        this.from[key] = this.target[key];
       }
     }
 
-    // Draw modals
-    for (let modal of this.modals) {
-      modal.draw(this.ctx);
+    const progress = this.duration > 0 ? Math.min(1, time / this.duration) : 1;
+    const eased = this.easing(progress);
+    for (const key of Object.keys(this.to)) {
+      this.setValue(key, this.from[key] + (this.to[key] - this.from[key]) * eased);
+    }
+    if (this.onUpdate) {
+      this.onUpdate(progress, this.target);
     }
 
-    // Draw toasts
-    for (let i = 0; i < this.toasts.length; i++) {
-      const toast = this.toasts[i];
-      toast.draw(this.ctx, i);
+    if (progress >= 1) {
+      this.done = true;
+      if (this.onComplete) {
+        this.onComplete(this.target);
+      }
+      this.resolveFinished(true);
+    }
+    return !this.done;
+  }
+
+  // Stop the tween where it is, or set the final values with jumpToEnd
+  stop(jumpToEnd = false) {
+    if (this.done) {
+      return;
+    }
+    if (jumpToEnd) {
+      for (const key of Object.keys(this.to)) {
+        this.setValue(key, this.to[key]);
+      }
+    }
+    this.done = true;
+    this.resolveFinished(false);
+  }
+
+  // Set an animated property. A container places its children from their offsets every frame, so a
+  // child's offset moves with x/y; a layout container reflows around a child's new width/height.
+  setValue(key, value) {
+    const target = this.target;
+    const parent = target.parent;
+    if (parent && (key === 'x' || key === 'y')) {
+      const localKey = key === 'x' ? 'localX' : 'localY';
+      target[localKey] += value - target[key];
+    } else if (parent && (key === 'width' || key === 'height') && target.layoutBaseSize && parent.invalidateLayout) {
+      target.layoutBaseSize[key] = value;
+      parent.invalidateLayout();
+    }
+    target[key] = value;
+  }
+
+  // Leave a property to another tween
+  release(key) {
+    delete this.to[key];
+  }
+}
+
+// Label text looked up in the manager's string table each time it is converted to a string (as
+// fillText and measureText do), so it follows ui.setLocale(). Create with ui.t(key, params).
+export class LocalizedText {
+  constructor(manager, key, params = {}) {
+    this.manager = manager;
+    this.key = key;
+    this.params = params;
+  }
+
+  toString() {
+    return this.manager.translate(this.key, this.params);
+  }
+}
+
+// Rich text: markup parsed once into styled runs, then wrapped and drawn run by run.
+//   **bold**  *italic*  [color=#f44336]red[/color]  [size=24]big[/size]  [icon:name]  [br] or \n
+// A backslash keeps the next *, [ or \ as text. Icons are images or draw functions (ctx, x, y, size)
+// registered with ui.registerIcon(), drawn as a square the height of the surrounding text.
+export class RichText {
+  constructor(markup) {
+    this.markup = String(markup);
+    this.runs = RichText.parse(this.markup);
+    this.cachedLayout = null;
+    this.cachedLayoutKey = null;
+  }
+
+  // Split markup into runs: { text, bold, italic, color, size }, { icon, color, size } or { newline: true }
+  static parse(markup) {
+    const runs = [];
+    const colors = [];
+    const sizes = [];
+    let style = { bold: false, italic: false, color: null, size: null };
+    let text = '';
+    const flush = () => {
+      if (text) {
+        runs.push({ text, ...style });
+        text = '';
+      }
+    };
+
+    for (let i = 0; i < markup.length; i++) {
+      const char = markup[i];
+      if (char === '\\' && '*[\\'.includes(markup[i + 1] || ' ')) {
+        text += markup[++i];
+      } else if (char === '\n') {
+        flush();
+        runs.push({ newline: true });
+      } else if (char === '*') {
+        flush();
+        if (markup[i + 1] === '*') {
+          style = { ...style, bold: !style.bold };
+          i++;
+        } else {
+          style = { ...style, italic: !style.italic };
+        }
+      } else if (char === '[') {
+        const end = markup.indexOf(']', i);
+        const tag = end > -1 ? markup.slice(i + 1, end).trim() : '';
+        const [name, value] = tag.split(/[=:]/, 2).map((part) => part.trim());
+        if (tag === 'br') {
+          flush();
+          runs.push({ newline: true });
+        } else if (name === 'icon' && value) {
+          flush();
+          runs.push({ icon: value, color: style.color, size: style.size });
+        } else if (name === 'color' && value) {
+          flush();
+          colors.push(style.color);
+          style = { ...style, color: value };
+        } else if (name === 'size' && value && !isNaN(parseFloat(value))) {
+          flush();
+          sizes.push(style.size);
+          style = { ...style, size: parseFloat(value) };
+        } else if (tag === '/color' || tag === '/size') {
+          flush();
+          style = tag === '/color' ? { ...style, color: colors.length ? colors.pop() : null } : { ...style, size: sizes.length ? sizes.pop() : null };
+        } else {
+          // Not a tag: keep the bracket as text
+          text += char;
+          continue;
+        }
+        i = end;
+      } else {
+        text += char;
+      }
+    }
+    flush();
+    return runs;
+  }
+
+  // The text without markup (icons by name), e.g. for measuring or screen readers
+  toString() {
+    return this.runs.map((run) => (run.newline ? '\n' : run.icon ? run.icon : run.text)).join('');
+  }
+
+  getFont(run, style) {
+    return BuildFontString(
+      {
+        style: run.italic ? 'italic' : style.fontStyle,
+        weight: run.bold ? 'bold' : style.fontWeight,
+        size: run.size || style.fontSize,
+        family: style.fontFamily,
+      },
+      {}
+    );
+  }
+
+  // Wrap the runs into lines no wider than style.maxWidth, breaking at spaces. Style: fontFamily,
+  // fontSize, fontWeight, fontStyle, lineHeight (pixels, for fontSize text) and maxWidth.
+  // Returns { lines: [{ items, width, height, size }], width, height }; the last layout is cached.
+  layout(ctx, style) {
+    const baseSize = style.fontSize || 16;
+    const lineHeight = style.lineHeight || Math.round(baseSize * 1.3);
+    const maxWidth = style.maxWidth || Infinity;
+    const key = [style.fontFamily, baseSize, style.fontWeight, style.fontStyle, lineHeight, maxWidth].join('|');
+    if (this.cachedLayoutKey === key) {
+      return this.cachedLayout;
+    }
+
+    const lines = [];
+    let line = null;
+    const newLine = () => {
+      line = { items: [], width: 0, size: baseSize };
+      lines.push(line);
+    };
+    newLine();
+
+    // A word (which may span runs, e.g. **bold**ness) is placed whole, after the spaces before it,
+    // on the current line or, when it doesn't fit, at the start of the next one
+    let word = [];
+    let spaces = [];
+    const placeWord = () => {
+      if (word.length === 0) {
+        return;
+      }
+      const width = (pieces) => pieces.reduce((total, piece) => total + piece.width, 0);
+      if (line.items.length > 0 && line.width + width(spaces) + width(word) > maxWidth) {
+        newLine();
+        spaces = [];
+      }
+      for (const piece of [...spaces, ...word]) {
+        piece.x = line.width;
+        line.width += piece.width;
+        line.size = Math.max(line.size, piece.size);
+        line.items.push(piece);
+      }
+      word = [];
+      spaces = [];
+    };
+
+    ctx.save();
+    for (const run of this.runs) {
+      if (run.newline) {
+        placeWord();
+        newLine();
+        spaces = [];
+        continue;
+      }
+      const size = run.size || baseSize;
+      if (run.icon) {
+        word.push({ icon: run.icon, color: run.color, size, width: size });
+        continue;
+      }
+      const font = this.getFont(run, style);
+      ctx.font = font;
+      for (const part of run.text.split(/( +)/)) {
+        if (!part) {
+          continue;
+        }
+        const piece = { text: part, font, color: run.color, size, width: ctx.measureText(part).width, space: part[0] === ' ' };
+        if (piece.space) {
+          placeWord();
+          if (line.items.length > 0) {
+            spaces.push(piece);
+          }
+        } else {
+          word.push(piece);
+        }
+      }
+    }
+    placeWord();
+    ctx.restore();
+
+    for (const current of lines) {
+      current.height = (lineHeight * current.size) / baseSize;
+    }
+    this.cachedLayout = {
+      lines,
+      width: Math.max(...lines.map((current) => current.width)),
+      height: lines.reduce((total, current) => total + current.height, 0),
+    };
+    this.cachedLayoutKey = key;
+    return this.cachedLayout;
+  }
+
+  // Draw at (x, y): the layout style plus color, align ('left', 'center', 'right'), baseline ('top',
+  // 'middle', 'bottom') and icons ({ name: image or draw function }). Returns the layout.
+  draw(ctx, x, y, style) {
+    const layout = this.layout(ctx, style);
+    let top = y;
+    if (style.baseline === 'middle') {
+      top -= layout.height / 2;
+    } else if (style.baseline === 'bottom' || style.baseline === 'alphabetic') {
+      top -= layout.height;
+    }
+
+    ctx.save();
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+    for (const line of layout.lines) {
+      let left = x;
+      if (style.align === 'center') {
+        left -= line.width / 2;
+      } else if (style.align === 'right') {
+        left -= line.width;
+      }
+
+      // Runs of different sizes share a baseline, with the tallest centered in the line
+      const baseline = top + line.height / 2 + line.size * 0.3;
+      for (const item of line.items) {
+        if (item.icon) {
+          const icon = style.icons ? style.icons[item.icon] : null;
+          const iconY = baseline - item.size * 0.8;
+          if (typeof icon === 'function') {
+            icon(ctx, left + item.x, iconY, item.size);
+          } else if (icon && icon.complete !== false) {
+            ctx.drawImage(icon, left + item.x, iconY, item.size, item.size);
+          }
+        } else if (!item.space) {
+          ctx.font = item.font;
+          ctx.fillStyle = item.color || style.color || '#ffffff';
+          ctx.fillText(item.text, left + item.x, baseline);
+        }
+      }
+      top += line.height;
     }
+    ctx.restore();
+    return layout;
+  }
+}
+
+// RichText style for a canvas font string such as 'italic bold 16px Arial'
+function parseFontString(font) {
+  const match = /^(.*?)\s*(\d+(?:\.\d+)?)px(?:\/\S+)?\s+(.+)$/.exec(font);
+  if (!match) {
+    return {};
+  }
+  const words = match[1].split(/\s+/);
+  return {
+    fontStyle: words.find((word) => word === 'italic' || word === 'oblique') || 'normal',
+    fontWeight: words.find((word) => /^(bold|bolder|lighter|\d{3})$/.test(word)) || 'normal',
+    fontSize: parseFloat(match[2]),
+    fontFamily: match[3],
+  };
+}
+
+// fillText for labels: RichText is drawn in the context's font, fill color, alignment and baseline
+function fillLabelText(ctx, text, x, y, icons) {
+  if (!(text instanceof RichText)) {
+    ctx.fillText(text, x, y);
+    return;
   }
+  const align = ctx.textAlign === 'center' ? 'center' : ctx.textAlign === 'right' || ctx.textAlign === 'end' ? 'right' : 'left';
+  const baseline = ctx.textBaseline === 'middle' ? 'middle' : ctx.textBaseline === 'top' || ctx.textBaseline === 'hanging' ? 'top' : 'bottom';
+  text.draw(ctx, x, y, { ...parseFontString(ctx.font), color: ctx.fillStyle, align, baseline, icons });
+}
+
+// measureText for labels; for RichText, the width and (as the ascent) height of its layout
+function measureLabelText(ctx, text) {
+  if (!(text instanceof RichText)) {
+    return ctx.measureText(text);
+  }
+  const layout = text.layout(ctx, parseFontString(ctx.font));
+  return { width: layout.width, actualBoundingBoxAscent: layout.height, actualBoundingBoxDescent: 0 };
+}
+
+// Draw a control with its alpha and scale (about its center) applied
+function drawWithEffects(ctx, control, draw) {
+  if (control.alpha === 1 && control.scale === 1) {
+    draw();
+    return;
+  }
+  if (control.alpha <= 0) {
+    return;
+  }
+  ctx.save();
+  ctx.globalAlpha *= Math.min(1, control.alpha);
+  if (control.scale !== 1) {
+    const centerX = control.x + control.width / 2;
+    const centerY = control.y + control.height / 2;
+    ctx.translate(centerX, centerY);
+    ctx.scale(control.scale, control.scale);
+    ctx.translate(-centerX, -centerY);
+  }
+  draw();
+  ctx.restore();
 }
 
 // Base Control class
@@ -690,6 +2788,25 @@ export class Control {
     this.width = width;
     this.height = height;
     this.manager = null;
+    this.parent = null; // Container holding this control, if any
+    this.visible = options.visible !== false;
+    this.focusable = options.focusable !== false;
+
+    // Optional spatial navigation overrides (control or index in manager.controls)
+    this.navUp = options.navUp !== undefined ? options.navUp : null;
+    this.navDown = options.navDown !== undefined ? options.navDown : null;
+    this.navLeft = options.navLeft !== undefined ? options.navLeft : null;
+    this.navRight = options.navRight !== undefined ? options.navRight : null;
+
+    // Tooltip text, or { title, text } for a longer description (see getTooltip)
+    this.tooltip = options.tooltip || null;
+
+    // Name read by screen readers, for controls without a label of their own (e.g. a Menu or ListBox)
+    this.accessibleLabel = options.accessibleLabel || null;
+
+    // Opacity and size (about the center) when drawn, e.g. for tweens; hit testing uses the unscaled bounds
+    this.alpha = options.alpha !== undefined ? options.alpha : 1;
+    this.scale = options.scale !== undefined ? options.scale : 1;
 
     // Store raw options for later theme application
     this._rawOptions = options;
@@ -702,6 +2819,7 @@ export class Control {
       controlBorderColor: '#666666',
       controlFocusBorderColor: '#4CAF50',
       controlClickColor: '#388E3C',
+      controlErrorColor: '#F44336',
       menuButtonColor: '#4CAF50',
       menuButtonActiveColor: '#388E3C',
       menuButtonClickColor: '#2E7D32',
@@ -710,6 +2828,8 @@ export class Control {
       menuButtonFontSize: 16,
       panelSurfaceColor: '#2a2a2a',
       panelBorderColor: '#4CAF50',
+      scrollbarColor: '#888888',
+      scrollbarTrackColor: 'rgba(255, 255, 255, 0.1)',
       borderRadius: 6,
       borderWidth: 2,
       fontFamily: 'Arial',
@@ -736,6 +2856,7 @@ export class Control {
       controlBorderColor: theme.controlBorderColor,
       controlFocusBorderColor: theme.controlFocusBorderColor,
       controlClickColor: theme.controlClickColor,
+      controlErrorColor: theme.controlErrorColor,
       // Menu button colors
       menuButtonColor: theme.menuButtonColor,
       menuButtonActiveColor: theme.menuButtonActiveColor,
@@ -746,6 +2867,9 @@ export class Control {
       // Panel colors
       panelSurfaceColor: theme.panelSurfaceColor,
       panelBorderColor: theme.panelBorderColor,
+      // ScrollView colors
+      scrollbarColor: theme.scrollbarColor,
+      scrollbarTrackColor: theme.scrollbarTrackColor,
       // Shared properties
       borderRadius: theme.borderRadius,
       borderWidth: theme.borderWidth,
@@ -790,8 +2914,74 @@ export class Control {
     return x >= this.x && x <= this.x + this.width && y >= this.y && y <= this.y + this.height;
   }
 
-  drawBase(ctx, isFocused) {
-    const radius = this.options.borderRadius;
+  setVisible(visible) {
+    this.visible = visible;
+    if (this.manager) {
+      this.manager.validateFocus();
+    }
+    // Hidden children take no space in layout containers
+    if (this.parent && this.parent.invalidateLayout) {
+      this.parent.invalidateLayout();
+    }
+  }
+
+  // Resize the control (used by layout containers); controls with inner geometry override this
+  setSize(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  // Built-in string (see DEFAULT_STRINGS) in the manager's current locale; call it when the text is used
+  // (e.g. while drawing) so it follows setLocale()
+  localize(key, params = {}) {
+    if (this.manager) {
+      return this.manager.translate(key, params);
+    }
+    return DEFAULT_STRINGS[key].replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+  }
+
+  // Draw a label or item, which may be RichText, with the context's current text settings
+  fillLabel(ctx, text, x, y) {
+    fillLabelText(ctx, text, x, y, this.manager ? this.manager.icons : null);
+  }
+
+  // Spatial navigation: return true if the control uses this direction ('up', 'down', 'left', 'right')
+  // itself, so the arrow key or D-pad press is passed to the control instead of moving focus
+  handlesDirection(direction) {
+    return false;
+  }
+
+  // Escape or gamepad B while focused: return true if the control handled it, so it doesn't go back a screen
+  handleCancel() {
+    return false;
+  }
+
+  // Tooltip for the pointer at (x, y), or for keyboard/gamepad focus when called without a point
+  getTooltip(x, y) {
+    return this.tooltip;
+  }
+
+  // Area a focus tooltip is placed next to
+  getTooltipBounds() {
+    return { x: this.x, y: this.y, width: this.width, height: this.height };
+  }
+
+  // Description for the screen reader mirror (see AccessibilityBridge): { role, label, ...state }, with
+  // items for controls made of several choices. null leaves the control out of the mirror.
+  getAccessibleInfo() {
+    return null;
+  }
+
+  // A screen reader activated the control, or one of its items (the item's index, or its position in items).
+  // Slider and spinbutton roles also get 'increment' and 'decrement' from the arrow keys.
+  handleAccessibleAction(item) {
+    if (this.activate) {
+      this.activate();
+    }
+  }
+
+  drawBase(ctx, isFocused) {
+    const radius = this.options.borderRadius;
 
     // Background
     ctx.fillStyle = this.options.controlSurfaceColor;
@@ -877,6 +3067,23 @@ export class Menu extends Control {
     }
   }
 
+  // Items can have their own tooltip; the hovered item's, or the selected item's for focus
+  getTooltip(x, y) {
+    let index = this.selectedIndex;
+    if (x !== undefined) {
+      index = this.items.findIndex((item, i) => {
+        const bounds = this.getItemBounds(i);
+        return x >= bounds.x && x <= bounds.x + bounds.width && y >= bounds.y && y <= bounds.y + bounds.height;
+      });
+    }
+    const item = this.items[index];
+    return (item && item.tooltip) || this.tooltip;
+  }
+
+  getTooltipBounds() {
+    return this.getItemBounds(this.selectedIndex);
+  }
+
   getItemBounds(index) {
     if (this.orientation === 'horizontal') {
       return {
@@ -895,6 +3102,19 @@ export class Menu extends Control {
     }
   }
 
+  // Share the new size between the items
+  setSize(width, height) {
+    super.setSize(width, height);
+    const count = Math.max(1, this.items.length);
+    if (this.orientation === 'horizontal') {
+      this.itemWidth = (width - (count - 1) * this.gap) / count;
+      this.itemHeight = height;
+    } else {
+      this.itemWidth = width;
+      this.itemHeight = (height - (count - 1) * this.gap) / count;
+    }
+  }
+
   handleKeyDown(e) {
     const isVertical = this.orientation === 'vertical';
     const prevKey = isVertical ? 'ArrowUp' : 'ArrowLeft';
@@ -927,6 +3147,18 @@ export class Menu extends Control {
     this.selectedIndex = (this.selectedIndex + 1) % this.items.length;
   }
 
+  // Move between items along the menu's orientation; at the first/last item focus leaves the menu
+  handlesDirection(direction) {
+    const isVertical = this.orientation === 'vertical';
+    if (direction === (isVertical ? 'up' : 'left')) {
+      return this.selectedIndex > 0;
+    }
+    if (direction === (isVertical ? 'down' : 'right')) {
+      return this.selectedIndex < this.items.length - 1;
+    }
+    return false;
+  }
+
   activate() {
     this.pressed = true;
     this.pressedTime = 0;
@@ -938,6 +3170,23 @@ export class Menu extends Control {
     }
   }
 
+  // A single-item menu is a button, longer menus a group of buttons
+  getAccessibleInfo() {
+    if (this.items.length === 1) {
+      return { role: 'button', label: this.items[0].label };
+    }
+    return {
+      role: 'group',
+      items: this.items.map((item) => ({ role: 'button', label: item.label })),
+      activeItem: this.selectedIndex,
+    };
+  }
+
+  handleAccessibleAction(item = 0) {
+    this.selectedIndex = item;
+    this.activate();
+  }
+
   update(deltaTime) {
     if (this.pressed) {
       this.pressedTime += deltaTime;
@@ -994,7 +3243,7 @@ export class Menu extends Control {
       ctx.fillStyle = this.options.controlTextColor;
       ctx.textAlign = 'center';
       ctx.textBaseline = 'middle';
-      ctx.fillText(this.items[i].label, bounds.x + bounds.width / 2, bounds.y + bounds.height / 2);
+      this.fillLabel(ctx, this.items[i].label, bounds.x + bounds.width / 2, bounds.y + bounds.height / 2);
     }
   }
 }
@@ -1042,6 +3291,10 @@ export class Toggle extends Control {
     }
   }
 
+  getAccessibleInfo() {
+    return { role: 'switch', label: this.label, checked: this.value };
+  }
+
   draw(ctx, isFocused) {
     this.drawBase(ctx, isFocused);
 
@@ -1050,7 +3303,7 @@ export class Toggle extends Control {
     ctx.fillStyle = this.options.textColor;
     ctx.textAlign = 'left';
     ctx.textBaseline = 'middle';
-    ctx.fillText(this.label, this.x + this.options.padding, this.y + this.height / 2);
+    this.fillLabel(ctx, this.label, this.x + this.options.padding, this.y + this.height / 2);
 
     // Draw toggle switch with proper spacing
     const switchWidth = 50;
@@ -1094,6 +3347,94 @@ export class Toggle extends Control {
   }
 }
 
+// Draw a checkbox square: state is true (checked), false or 'mixed' (some of a group checked)
+function drawCheckbox(ctx, x, y, size, state, options) {
+  const radius = Math.min(4, options.borderRadius);
+
+  ctx.beginPath();
+  DrawRoundedRect(ctx, x, y, size, size, radius);
+  if (state) {
+    ctx.fillStyle = options.controlColor;
+    ctx.fill();
+  }
+  ctx.strokeStyle = state ? options.controlColor : options.controlBorderColor;
+  ctx.lineWidth = 2;
+  ctx.stroke();
+
+  ctx.strokeStyle = options.controlTextColor;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  if (state === 'mixed') {
+    ctx.moveTo(x + size * 0.25, y + size / 2);
+    ctx.lineTo(x + size * 0.75, y + size / 2);
+  } else if (state) {
+    ctx.moveTo(x + size * 0.22, y + size * 0.52);
+    ctx.lineTo(x + size * 0.42, y + size * 0.72);
+    ctx.lineTo(x + size * 0.78, y + size * 0.3);
+  }
+  ctx.stroke();
+}
+
+// Checkbox Control - a compact alternative to Toggle for a single boolean
+export class Checkbox extends Control {
+  constructor(x, y, label, initialValue, callback, options = {}) {
+    const width = options.width || 250; // Default width
+    const height = options.height || 40; // Default height
+    super(x, y, width, height, options);
+    this.label = label;
+    this.value = initialValue === true;
+    this.callback = callback;
+    this.boxSize = options.boxSize || 20;
+  }
+
+  handleClick(x, y) {
+    this.toggle();
+  }
+
+  handleKeyDown(e) {
+    if (e.key === 'Enter' || e.key === ' ') {
+      this.toggle();
+      e.preventDefault();
+    }
+  }
+
+  activate() {
+    this.toggle();
+  }
+
+  toggle() {
+    this.setValue(!this.value);
+  }
+
+  setValue(value) {
+    if (this.value === value) {
+      return;
+    }
+    this.value = value;
+    if (this.callback) {
+      this.callback(this.value);
+    }
+  }
+
+  getAccessibleInfo() {
+    return { role: 'checkbox', label: this.label, checked: this.value };
+  }
+
+  draw(ctx, isFocused) {
+    this.drawBase(ctx, isFocused);
+
+    const boxX = this.x + this.options.padding;
+    const boxY = this.y + (this.height - this.boxSize) / 2;
+    drawCheckbox(ctx, boxX, boxY, this.boxSize, this.value, this.options);
+
+    ctx.font = this.options.font;
+    ctx.fillStyle = this.options.textColor;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    this.fillLabel(ctx, this.label, boxX + this.boxSize + this.options.padding, this.y + this.height / 2);
+  }
+}
+
 // TextInput Control
 export class TextInput extends Control {
   constructor(x, y, placeholder, options = {}) {
@@ -1103,44 +3444,372 @@ export class TextInput extends Control {
     this.placeholder = placeholder;
     this.value = '';
     this.cursorPos = 0;
+    this.selectionAnchor = 0; // Other end of the selection; equal to cursorPos when nothing is selected
+    this.cursorVisible = true;
+    this.cursorBlinkTime = 0;
+    this.dragging = false;
+
+    // Undo/redo history of { value, cursorPos, selectionAnchor } snapshots
+    this.undoStack = [];
+    this.redoStack = [];
+    this.lastEditKind = null; // Consecutive edits of the same kind (e.g. typing) share one undo step
+    this.maxUndo = options.maxUndo || 100;
+
+    // Optional clipboard provider with readText()/writeText(text), used when the async Clipboard API is unavailable
+    this.clipboard = options.clipboard || null;
+
+    // Constraints on what can be entered
+    this.maxLength = options.maxLength || 0; // 0 = unlimited
+    this.allowedChars = options.allowedChars || null; // String of allowed characters, or RegExp tested per character
+    this.numeric = options.numeric === true; // Digits with an optional leading minus and one decimal point
+    this.password = options.password === true;
+    this.maskChar = options.maskChar || '•';
+
+    // Callbacks, called with the current value
+    this.onChange = options.onChange || null; // Value edited by the user
+    this.onSubmit = options.onSubmit || null; // Enter pressed
+    this.onCancel = options.onCancel || null; // Escape or gamepad B pressed
+
+    this.scrollX = 0; // Horizontal scroll offset keeping the cursor in view
+
+    // Open the on-screen keyboard when activated by gamepad or touch
+    this.virtualKeyboard = options.virtualKeyboard !== false;
+    this.keyboardLayout = options.keyboardLayout || null; // Overrides the manager's layout for this input
+  }
+
+  // Gamepad A: edit with the on-screen keyboard
+  activate() {
+    this.openVirtualKeyboard();
+  }
+
+  openVirtualKeyboard() {
+    if (!this.virtualKeyboard || !this.manager) return null;
+    return this.manager.showVirtualKeyboard(this, this.keyboardLayout ? { layout: this.keyboardLayout } : {});
+  }
+
+  // Passwords are read as their mask characters
+  getAccessibleInfo() {
+    return { role: 'textbox', label: this.placeholder, text: this.getDisplayText() };
+  }
+
+  deleteBackward(word = false) {
+    if (this.hasSelection()) {
+      this.replaceSelection('', 'delete');
+    } else if (this.cursorPos > 0) {
+      const start = word ? this.findWordBoundary(this.cursorPos, -1) : stepCodePoint(this.value, this.cursorPos, -1);
+      this.deleteRange(start, this.cursorPos, 'delete');
+    }
+  }
+
+  submit() {
+    if (this.onSubmit) {
+      this.onSubmit(this.value);
+    }
+  }
+
+  // Set the value from code (constraints apply, onChange is not called)
+  setValue(value) {
+    this.value = '';
+    this.value = this.filterText(String(value), '', '');
+    this.setCursor(this.value.length);
+    this.lastEditKind = null;
+  }
+
+  // Text as displayed, masked in password mode with one mask character per character. end gives the
+  // display text before a position in the value (positions differ once an emoji is masked).
+  getDisplayText(end = this.value.length) {
+    const text = this.value.slice(0, end);
+    return this.password ? this.maskChar.repeat([...text].length) : text;
+  }
+
+  isCharAllowed(ch) {
+    if (!this.allowedChars) return true;
+    if (this.allowedChars instanceof RegExp) {
+      this.allowedChars.lastIndex = 0;
+      return this.allowedChars.test(ch);
+    }
+    return this.allowedChars.includes(ch);
+  }
+
+  // Keep the characters of text that may be inserted between before and after. maxLength counts
+  // characters (code points), so an emoji counts once.
+  filterText(text, before, after) {
+    let result = '';
+    let length = [...before].length + [...after].length;
+    for (const ch of text) {
+      if (this.maxLength && length >= this.maxLength) break;
+      if (!this.isCharAllowed(ch)) continue;
+      if (this.numeric && !/^-?\d*\.?\d*$/.test(before + result + ch + after)) continue;
+      result += ch;
+      length++;
+    }
+    return result;
+  }
+
+  hasSelection() {
+    return this.selectionAnchor !== this.cursorPos;
+  }
+
+  getSelectionRange() {
+    return { start: Math.min(this.selectionAnchor, this.cursorPos), end: Math.max(this.selectionAnchor, this.cursorPos) };
+  }
+
+  getSelectedText() {
+    const { start, end } = this.getSelectionRange();
+    return this.value.slice(start, end);
+  }
+
+  // Move the cursor, extending the selection when extend is true
+  setCursor(pos, extend = false) {
+    this.cursorPos = Math.max(0, Math.min(this.value.length, pos));
+    if (!extend) {
+      this.selectionAnchor = this.cursorPos;
+    }
     this.cursorVisible = true;
     this.cursorBlinkTime = 0;
   }
 
+  select(start, end) {
+    this.selectionAnchor = Math.max(0, Math.min(this.value.length, start));
+    this.setCursor(end, true);
+  }
+
+  selectAll() {
+    this.select(0, this.value.length);
+  }
+
+  // Replace the selection (or insert at the cursor) with text, applying the input constraints
+  replaceSelection(text, kind = 'insert') {
+    const { start, end } = this.getSelectionRange();
+    const before = this.value.slice(0, start);
+    const after = this.value.slice(end);
+    const inserted = this.filterText(text, before, after);
+    if (inserted === '' && start === end) return;
+
+    this.recordUndo(kind);
+    this.value = before + inserted + after;
+    this.setCursor(start + inserted.length);
+    this.notifyChange();
+  }
+
+  notifyChange() {
+    if (this.onChange) {
+      this.onChange(this.value);
+    }
+  }
+
+  deleteRange(start, end, kind) {
+    if (start === end) return;
+    this.select(start, end);
+    this.replaceSelection('', kind);
+  }
+
+  recordUndo(kind) {
+    // Typing and deleting are grouped until the kind of edit changes or the cursor is moved
+    if (kind !== 'paste' && kind !== 'cut' && kind === this.lastEditKind) return;
+    this.undoStack.push({ value: this.value, cursorPos: this.cursorPos, selectionAnchor: this.selectionAnchor });
+    if (this.undoStack.length > this.maxUndo) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.lastEditKind = kind;
+  }
+
+  undo() {
+    this.restoreSnapshot(this.undoStack, this.redoStack);
+  }
+
+  redo() {
+    this.restoreSnapshot(this.redoStack, this.undoStack);
+  }
+
+  restoreSnapshot(from, to) {
+    if (from.length === 0) return;
+    to.push({ value: this.value, cursorPos: this.cursorPos, selectionAnchor: this.selectionAnchor });
+    const snapshot = from.pop();
+    this.value = snapshot.value;
+    this.selectionAnchor = Math.min(snapshot.selectionAnchor, this.value.length);
+    this.setCursor(snapshot.cursorPos, true);
+    this.lastEditKind = null;
+    this.notifyChange();
+  }
+
+  // Start of the previous word / end of the next word, for Ctrl+arrow jumps. A password is one word, so
+  // jumps don't give away where its words are.
+  findWordBoundary(pos, step) {
+    if (this.password) {
+      return step < 0 ? 0 : this.value.length;
+    }
+    const isWordChar = (ch) => /\w/.test(ch);
+    if (step < 0) {
+      while (pos > 0 && !isWordChar(this.value[pos - 1])) pos--;
+      while (pos > 0 && isWordChar(this.value[pos - 1])) pos--;
+    } else {
+      while (pos < this.value.length && !isWordChar(this.value[pos])) pos++;
+      while (pos < this.value.length && isWordChar(this.value[pos])) pos++;
+    }
+    return pos;
+  }
+
+  copySelection() {
+    // Never copy a masked password
+    if (!this.hasSelection() || this.password) return;
+    this.writeClipboard(this.getSelectedText());
+  }
+
+  cutSelection() {
+    if (!this.hasSelection() || this.password) return;
+    this.writeClipboard(this.getSelectedText());
+    this.replaceSelection('', 'cut');
+  }
+
+  paste() {
+    this.readClipboard().then((text) => {
+      if (text) {
+        this.replaceSelection(this.cleanPastedText(text), 'paste');
+      }
+    });
+  }
+
+  // Single line: pasted line breaks become spaces
+  cleanPastedText(text) {
+    return text.replace(/[\r\n]+/g, ' ');
+  }
+
+  // Prefer the async Clipboard API, then the clipboard option, then a clipboard shared by all text inputs
+  writeClipboard(text) {
+    fallbackClipboardText = text;
+    const apiClipboard = typeof navigator !== 'undefined' && navigator.clipboard ? navigator.clipboard : null;
+    const write = (provider) => Promise.resolve().then(() => provider.writeText(text));
+    let result = apiClipboard ? write(apiClipboard) : Promise.reject();
+    if (this.clipboard) {
+      result = result.catch(() => write(this.clipboard));
+    }
+    return result.catch(() => {});
+  }
+
+  readClipboard() {
+    const apiClipboard = typeof navigator !== 'undefined' && navigator.clipboard ? navigator.clipboard : null;
+    const read = (provider) => Promise.resolve().then(() => provider.readText());
+    let result = apiClipboard ? read(apiClipboard) : Promise.reject();
+    if (this.clipboard) {
+      result = result.catch(() => read(this.clipboard));
+    }
+    return result.catch(() => fallbackClipboardText);
+  }
+
+  // Text position nearest to a point, using the control's font
+  getIndexAtPoint(x, y) {
+    const ctx = this.manager ? this.manager.ctx : null;
+    if (!ctx) return this.value.length;
+
+    ctx.save();
+    ctx.font = `${this.options.fontSize}px ${this.options.fontFamily}`;
+    const offset = x - (this.x + this.options.padding) + this.scrollX;
+    let index = this.value.length;
+    let previousWidth = 0;
+    for (let i = 0; i < this.value.length;) {
+      const next = stepCodePoint(this.value, i, 1);
+      const width = ctx.measureText(this.getDisplayText(next)).width;
+      if (offset < (previousWidth + width) / 2) {
+        index = i;
+        break;
+      }
+      previousWidth = width;
+      i = next;
+    }
+    ctx.restore();
+    return index;
+  }
+
   handleClick(x, y) {
-    // Calculate cursor position based on click
-    const textX = this.x + this.options.padding;
-    // For simplicity, just put cursor at end
-    this.cursorPos = this.value.length;
+    // Place the cursor at the clicked character
+    this.setCursor(this.getIndexAtPoint(x, y));
+    this.lastEditKind = null;
+  }
+
+  // Pressing starts a selection that follows the pointer while dragging
+  handleMouseDown(x, y) {
+    this.setCursor(this.getIndexAtPoint(x, y));
+    this.lastEditKind = null;
+    this.dragging = true;
+    return true;
+  }
+
+  handleMouseMove(x, y) {
+    if (this.dragging) {
+      this.setCursor(this.getIndexAtPoint(x, y), true);
+    }
+  }
+
+  handleMouseUp(x, y) {
+    this.dragging = false;
+    // A tap (not a drag selection) opens the on-screen keyboard on touch screens
+    if (this.manager && this.manager.touchActive && !this.hasSelection()) {
+      this.openVirtualKeyboard();
+    }
   }
 
   handleKeyDown(e) {
-    if (e.key === 'Backspace') {
-      if (this.cursorPos > 0) {
-        this.value = this.value.slice(0, this.cursorPos - 1) + this.value.slice(this.cursorPos);
-        this.cursorPos--;
-      }
+    const command = e.ctrlKey || e.metaKey;
+    const wordJump = e.ctrlKey || e.altKey;
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+
+    if (command && key === 'a') {
+      this.selectAll();
+      e.preventDefault();
+    } else if (command && key === 'c') {
+      this.copySelection();
+      e.preventDefault();
+    } else if (command && key === 'x') {
+      this.cutSelection();
+      e.preventDefault();
+    } else if (command && key === 'v') {
+      this.paste();
+      e.preventDefault();
+    } else if (command && ((key === 'z' && e.shiftKey) || key === 'y')) {
+      this.redo();
+      e.preventDefault();
+    } else if (command && key === 'z') {
+      this.undo();
+      e.preventDefault();
+    } else if (e.key === 'Enter') {
+      this.submit();
+      e.preventDefault();
+    } else if (e.key === 'Backspace') {
+      this.deleteBackward(wordJump);
       e.preventDefault();
     } else if (e.key === 'Delete') {
-      if (this.cursorPos < this.value.length) {
-        this.value = this.value.slice(0, this.cursorPos) + this.value.slice(this.cursorPos + 1);
+      if (this.hasSelection()) {
+        this.replaceSelection('', 'delete');
+      } else if (this.cursorPos < this.value.length) {
+        const end = wordJump ? this.findWordBoundary(this.cursorPos, 1) : stepCodePoint(this.value, this.cursorPos, 1);
+        this.deleteRange(this.cursorPos, end, 'delete');
       }
       e.preventDefault();
-    } else if (e.key === 'ArrowLeft') {
-      this.cursorPos = Math.max(0, this.cursorPos - 1);
-      e.preventDefault();
-    } else if (e.key === 'ArrowRight') {
-      this.cursorPos = Math.min(this.value.length, this.cursorPos + 1);
+    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      const step = e.key === 'ArrowLeft' ? -1 : 1;
+      if (wordJump) {
+        this.setCursor(this.findWordBoundary(this.cursorPos, step), e.shiftKey);
+      } else if (this.hasSelection() && !e.shiftKey) {
+        // Collapse the selection to the side being moved towards
+        const { start, end } = this.getSelectionRange();
+        this.setCursor(step < 0 ? start : end);
+      } else {
+        this.setCursor(stepCodePoint(this.value, this.cursorPos, step), e.shiftKey);
+      }
+      this.lastEditKind = null;
       e.preventDefault();
     } else if (e.key === 'Home') {
-      this.cursorPos = 0;
+      this.setCursor(0, e.shiftKey);
+      this.lastEditKind = null;
       e.preventDefault();
     } else if (e.key === 'End') {
-      this.cursorPos = this.value.length;
+      this.setCursor(this.value.length, e.shiftKey);
+      this.lastEditKind = null;
       e.preventDefault();
-    } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey) {
-      this.value = this.value.slice(0, this.cursorPos) + e.key + this.value.slice(this.cursorPos);
-      this.cursorPos++;
+    } else if (e.key.length === 1 && !command) {
+      this.replaceSelection(e.key, 'insert');
       e.preventDefault();
     }
 
@@ -1148,6 +3817,30 @@ export class TextInput extends Control {
     this.cursorBlinkTime = 0;
   }
 
+  // Left/right move the cursor
+  handlesDirection(direction) {
+    return direction === 'left' || direction === 'right';
+  }
+
+  handleCancel() {
+    if (!this.onCancel) return false;
+    this.onCancel(this.value);
+    return true;
+  }
+
+  // Scroll so the cursor stays inside the field, without leaving empty space after the text
+  updateScroll(ctx, text) {
+    const innerWidth = this.width - this.options.padding * 2;
+    const cursorX = ctx.measureText(this.getDisplayText(this.cursorPos)).width;
+    const textWidth = ctx.measureText(text).width;
+    if (cursorX - this.scrollX > innerWidth) {
+      this.scrollX = cursorX - innerWidth;
+    } else if (cursorX < this.scrollX) {
+      this.scrollX = cursorX;
+    }
+    this.scrollX = Math.max(0, Math.min(this.scrollX, textWidth - innerWidth));
+  }
+
   update(deltaTime) {
     this.cursorBlinkTime += deltaTime;
     if (this.cursorBlinkTime >= 500) {
@@ -1164,16 +3857,36 @@ export class TextInput extends Control {
     ctx.textAlign = 'left';
     ctx.textBaseline = 'middle';
 
-    const textX = this.x + this.options.padding;
+    const text = this.getDisplayText();
+    this.updateScroll(ctx, text);
+    const textX = this.x + this.options.padding - this.scrollX;
     const textY = this.y + this.height / 2;
 
+    // Clip to the inside of the field (with room for the cursor at either edge)
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(this.x + this.options.padding - 2, this.y, this.width - this.options.padding * 2 + 4, this.height);
+    ctx.clip();
+
     if (this.value) {
+      // Draw the selection highlight behind the text
+      if (isFocused && this.hasSelection()) {
+        const { start, end } = this.getSelectionRange();
+        const startX = textX + ctx.measureText(this.getDisplayText(start)).width;
+        const endX = textX + ctx.measureText(this.getDisplayText(end)).width;
+        ctx.save();
+        ctx.globalAlpha = 0.5;
+        ctx.fillStyle = this.options.controlColor;
+        ctx.fillRect(startX, this.y + this.options.padding, endX - startX, this.height - this.options.padding * 2);
+        ctx.restore();
+      }
+
       ctx.fillStyle = this.options.textColor;
-      ctx.fillText(this.value, textX, textY);
+      ctx.fillText(text, textX, textY);
 
       // Draw cursor if focused
       if (isFocused && this.cursorVisible) {
-        const textBeforeCursor = this.value.slice(0, this.cursorPos);
+        const textBeforeCursor = this.getDisplayText(this.cursorPos);
         const cursorX = textX + ctx.measureText(textBeforeCursor).width;
         ctx.strokeStyle = this.options.textColor;
         ctx.lineWidth = 2;
@@ -1194,28 +3907,276 @@ export class TextInput extends Control {
       ctx.lineTo(textX, this.y + this.height - this.options.padding);
       ctx.stroke();
     }
+
+    ctx.restore();
   }
 }
 
-// Radio Control
-export class Radio extends Control {
-  constructor(x, y, items, selectedIndex, label, callback, options = {}) {
-    const orientation = options.orientation || 'vertical'; // 'vertical' or 'horizontal'
-    const gap = options.gap || 0; // Gap between items
-    const width = options.width || 250; // Default width for each item
-    const height = options.height || 45; // Default height for each item
+// Multiline text entry with soft wrapping and vertical scrolling (uses the TextInput theme properties)
+export class TextArea extends TextInput {
+  constructor(x, y, placeholder, options = {}) {
+    super(x, y, placeholder, { width: 400, height: 150, ...options });
+    this.maxLines = options.maxLines || 0; // 0 = unlimited, counts wrapped lines
+    this.lineHeight = options.lineHeight || 0; // 0 = 1.4 times the font size
+    this.scrollY = 0;
+    this.preferredX = null; // Horizontal caret position kept while moving up and down
+    this.linesCache = null;
+  }
 
-    // Calculate label height if label is provided
-    const labelHeight = label ? 30 : 0; // Height to reserve for label
+  getLineHeight() {
+    return this.lineHeight || Math.round(this.options.fontSize * 1.4);
+  }
 
-    let totalWidth, totalHeight;
-    if (orientation === 'horizontal') {
-      totalWidth = items.length * width + (items.length - 1) * gap;
-      totalHeight = height + labelHeight;
-    } else {
-      totalWidth = width;
-      totalHeight = items.length * height + (items.length - 1) * gap + labelHeight;
-    }
+  getAccessibleInfo() {
+    return { ...super.getAccessibleInfo(), multiline: true };
+  }
+
+  // Measure text in the control's font outside of draw
+  measureText(text) {
+    const ctx = this.manager ? this.manager.ctx : null;
+    if (!ctx) {
+      return { width: text.length * this.options.fontSize * 0.6 };
+    }
+    ctx.font = `${this.options.fontSize}px ${this.options.fontFamily}`;
+    return ctx.measureText(text);
+  }
+
+  // Visual lines of a text (the current value by default), wrapped to the field width
+  getLines(text = this.value) {
+    const innerWidth = this.width - this.options.padding * 2;
+    const key = `${innerWidth}|${this.options.fontSize}px ${this.options.fontFamily}|${text}`;
+    if (this.linesCache && this.linesCache.key === key) {
+      return this.linesCache.lines;
+    }
+    const lines = wrapTextRanges(text, innerWidth, (line) => this.measureText(line));
+    this.linesCache = { key, lines };
+    return lines;
+  }
+
+  // Visual line holding a text position; at a soft wrap the position belongs to the next line
+  getLineIndex(pos, lines = this.getLines()) {
+    let index = 0;
+    while (index < lines.length - 1 && lines[index + 1].start <= pos) {
+      index++;
+    }
+    return index;
+  }
+
+  // Last cursor position on a line (before the break when the line wraps onto the next one)
+  getLineEnd(lines, index) {
+    const line = lines[index];
+    const wrapsOnto = index < lines.length - 1 && lines[index + 1].start === line.end;
+    return wrapsOnto ? Math.max(line.start, line.end - 1) : line.end;
+  }
+
+  // Text position on a line nearest to an x offset from the start of the text
+  getIndexInLine(lines, index, offset) {
+    const line = lines[index];
+    let previousWidth = 0;
+    for (let i = line.start; i < line.end;) {
+      const next = stepCodePoint(this.value, i, 1);
+      const width = this.measureText(this.value.slice(line.start, next)).width;
+      if (offset < (previousWidth + width) / 2) {
+        return Math.min(i, this.getLineEnd(lines, index));
+      }
+      previousWidth = width;
+      i = next;
+    }
+    return this.getLineEnd(lines, index);
+  }
+
+  getIndexAtPoint(x, y) {
+    const lines = this.getLines();
+    const row = Math.floor((y - (this.y + this.options.padding) + this.scrollY) / this.getLineHeight());
+    const index = Math.max(0, Math.min(lines.length - 1, row));
+    return this.getIndexInLine(lines, index, x - (this.x + this.options.padding));
+  }
+
+  // Newlines are always allowed; maxLines limits the wrapped line count
+  isCharAllowed(ch) {
+    return ch === '\n' || super.isCharAllowed(ch);
+  }
+
+  // Keep as much of the filtered text as fits in maxLines. Adding text never removes lines, so the cut
+  // is found with a binary search over the characters rather than re-wrapping for each one.
+  filterText(text, before, after) {
+    const result = super.filterText(text, before, after);
+    const fits = (inserted) => this.getLines(before + inserted + after).length <= this.maxLines;
+    if (!this.maxLines || fits(result)) {
+      return result;
+    }
+    const chars = [...result];
+    let low = 0; // Characters known to fit (or none)
+    let high = chars.length - 1; // Most characters that may fit
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (fits(chars.slice(0, middle).join(''))) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return chars.slice(0, low).join('');
+  }
+
+  cleanPastedText(text) {
+    return text.replace(/\r\n?/g, '\n');
+  }
+
+  // Move the cursor to the line above or below, keeping its horizontal position
+  moveVertical(step, extend) {
+    const lines = this.getLines();
+    const index = this.getLineIndex(this.cursorPos, lines);
+    const target = index + step;
+    if (this.preferredX === null) {
+      this.preferredX = this.measureText(this.value.slice(lines[index].start, this.cursorPos)).width;
+    }
+
+    const preferredX = this.preferredX;
+    if (target < 0) {
+      this.setCursor(0, extend);
+    } else if (target >= lines.length) {
+      this.setCursor(this.value.length, extend);
+    } else {
+      this.setCursor(this.getIndexInLine(lines, target, preferredX), extend);
+    }
+    this.preferredX = preferredX;
+  }
+
+  setCursor(pos, extend = false) {
+    super.setCursor(pos, extend);
+    this.preferredX = null;
+  }
+
+  handleKeyDown(e) {
+    const command = e.ctrlKey || e.metaKey;
+
+    if (e.key === 'Enter') {
+      // Enter starts a new line, Ctrl/Cmd+Enter submits
+      if (command) {
+        this.submit();
+      } else {
+        this.replaceSelection('\n');
+      }
+      e.preventDefault();
+    } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+      this.moveVertical(e.key === 'ArrowUp' ? -1 : 1, e.shiftKey);
+      this.lastEditKind = null;
+      e.preventDefault();
+    } else if ((e.key === 'Home' || e.key === 'End') && !command) {
+      // Home/End work on the current line; with Ctrl/Cmd on the whole text
+      const lines = this.getLines();
+      const index = this.getLineIndex(this.cursorPos, lines);
+      this.setCursor(e.key === 'Home' ? lines[index].start : this.getLineEnd(lines, index), e.shiftKey);
+      this.lastEditKind = null;
+      e.preventDefault();
+    } else {
+      super.handleKeyDown(e);
+    }
+  }
+
+  // Up/down move between lines, leaving the control at the first and last line
+  handlesDirection(direction) {
+    if (direction === 'up' || direction === 'down') {
+      const lines = this.getLines();
+      const index = this.getLineIndex(this.cursorPos, lines);
+      return direction === 'up' ? index > 0 : index < lines.length - 1;
+    }
+    return super.handlesDirection(direction);
+  }
+
+  // Scroll so the cursor's line is inside the field
+  updateScroll() {
+    const lines = this.getLines();
+    const lineHeight = this.getLineHeight();
+    const innerHeight = this.height - this.options.padding * 2;
+    const cursorTop = this.getLineIndex(this.cursorPos, lines) * lineHeight;
+    if (cursorTop + lineHeight - this.scrollY > innerHeight) {
+      this.scrollY = cursorTop + lineHeight - innerHeight;
+    } else if (cursorTop < this.scrollY) {
+      this.scrollY = cursorTop;
+    }
+    this.scrollY = Math.max(0, Math.min(this.scrollY, lines.length * lineHeight - innerHeight));
+  }
+
+  draw(ctx, isFocused) {
+    this.drawBase(ctx, isFocused);
+
+    const padding = this.options.padding;
+    const lineHeight = this.getLineHeight();
+    const lines = this.getLines();
+    this.updateScroll();
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(this.x + padding - 2, this.y + padding, this.width - padding * 2 + 4, this.height - padding * 2);
+    ctx.clip();
+
+    ctx.font = `${this.options.fontSize}px ${this.options.fontFamily}`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    const textX = this.x + padding;
+    const top = this.y + padding - this.scrollY;
+
+    if (!this.value && !isFocused) {
+      ctx.fillStyle = this.options.controlColor;
+      ctx.fillText(this.placeholder, textX, top + lineHeight / 2);
+    }
+
+    const { start, end } = this.getSelectionRange();
+    const cursorLine = this.getLineIndex(this.cursorPos, lines);
+    lines.forEach((line, index) => {
+      const lineY = top + index * lineHeight;
+      if (lineY + lineHeight < this.y || lineY > this.y + this.height) return;
+
+      // Selection highlight for the part of the selection on this line
+      if (isFocused && start < end && start <= line.end && end >= line.start) {
+        const fromX = ctx.measureText(this.value.slice(line.start, Math.max(start, line.start))).width;
+        const toX = ctx.measureText(this.value.slice(line.start, Math.min(end, line.end))).width;
+        ctx.save();
+        ctx.globalAlpha = 0.5;
+        ctx.fillStyle = this.options.controlColor;
+        ctx.fillRect(textX + fromX, lineY, toX - fromX, lineHeight);
+        ctx.restore();
+      }
+
+      ctx.fillStyle = this.options.textColor;
+      ctx.fillText(line.text, textX, lineY + lineHeight / 2);
+
+      if (isFocused && this.cursorVisible && index === cursorLine) {
+        const cursorX = textX + ctx.measureText(this.value.slice(line.start, this.cursorPos)).width;
+        ctx.strokeStyle = this.options.textColor;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(cursorX, lineY + 2);
+        ctx.lineTo(cursorX, lineY + lineHeight - 2);
+        ctx.stroke();
+      }
+    });
+
+    ctx.restore();
+  }
+}
+
+// Radio Control
+export class Radio extends Control {
+  constructor(x, y, items, selectedIndex, label, callback, options = {}) {
+    const orientation = options.orientation || 'vertical'; // 'vertical' or 'horizontal'
+    const gap = options.gap || 0; // Gap between items
+    const width = options.width || 250; // Default width for each item
+    const height = options.height || 45; // Default height for each item
+
+    // Calculate label height if label is provided
+    const labelHeight = label ? 30 : 0; // Height to reserve for label
+
+    let totalWidth, totalHeight;
+    if (orientation === 'horizontal') {
+      totalWidth = items.length * width + (items.length - 1) * gap;
+      totalHeight = height + labelHeight;
+    } else {
+      totalWidth = width;
+      totalHeight = items.length * height + (items.length - 1) * gap + labelHeight;
+    }
 
     super(x, y, totalWidth, totalHeight, options);
     this.itemWidth = width;
@@ -1247,6 +4208,19 @@ export class Radio extends Control {
     }
   }
 
+  // Share the new size between the options, keeping room for the label
+  setSize(width, height) {
+    super.setSize(width, height);
+    const count = Math.max(1, this.items.length);
+    if (this.orientation === 'horizontal') {
+      this.itemWidth = (width - (count - 1) * this.gap) / count;
+      this.itemHeight = height - this.labelHeight;
+    } else {
+      this.itemWidth = width;
+      this.itemHeight = (height - this.labelHeight - (count - 1) * this.gap) / count;
+    }
+  }
+
   isOverInteractiveArea(x, y) {
     // Check if over any radio button circle
     const radioSize = 16;
@@ -1277,6 +4251,23 @@ export class Radio extends Control {
     }
   }
 
+  getAccessibleInfo() {
+    return {
+      role: 'radiogroup',
+      label: this.label,
+      items: this.items.map((item, i) => ({ role: 'radio', label: item, checked: i === this.selectedIndex })),
+      activeItem: this.selectedIndex,
+    };
+  }
+
+  handleAccessibleAction(item) {
+    if (item === undefined) return;
+    this.selectedIndex = item;
+    if (this.callback) {
+      this.callback(this.selectedIndex, this.items[this.selectedIndex]);
+    }
+  }
+
   handleKeyDown(e) {
     const isVertical = this.orientation === 'vertical';
     const prevKey = isVertical ? 'ArrowUp' : 'ArrowLeft';
@@ -1311,6 +4302,18 @@ export class Radio extends Control {
     }
   }
 
+  // Move between options along the orientation; at the first/last option focus leaves the group
+  handlesDirection(direction) {
+    const isVertical = this.orientation === 'vertical';
+    if (direction === (isVertical ? 'up' : 'left')) {
+      return this.selectedIndex > 0;
+    }
+    if (direction === (isVertical ? 'down' : 'right')) {
+      return this.selectedIndex < this.items.length - 1;
+    }
+    return false;
+  }
+
   draw(ctx, isFocused) {
     const radius = this.options.borderRadius;
 
@@ -1329,7 +4332,7 @@ export class Radio extends Control {
       ctx.fillStyle = this.options.textColor;
       ctx.textAlign = 'left';
       ctx.textBaseline = 'top';
-      ctx.fillText(this.label, this.x + this.options.padding, this.y + this.options.padding);
+      this.fillLabel(ctx, this.label, this.x + this.options.padding, this.y + this.options.padding);
     }
 
     // Draw individual radio items
@@ -1361,7 +4364,7 @@ export class Radio extends Control {
       ctx.fillStyle = this.options.controlTextColor;
       ctx.textAlign = 'left';
       ctx.textBaseline = 'middle';
-      ctx.fillText(this.items[i], radioX + radioSize, radioY);
+      this.fillLabel(ctx, this.items[i], radioX + radioSize, radioY);
     }
 
     // Draw outer border around entire control
@@ -1376,130 +4379,430 @@ export class Radio extends Control {
   }
 }
 
-// Carousel Control
-export class Carousel extends Control {
-  constructor(x, y, items, selectedIndex, label, callback, options = {}) {
-    const orientation = options.orientation || 'horizontal';
-    const width = options.width || 250;
-    const height = options.height || 60;
+// CheckboxGroup Control - several checkboxes where any number can be checked. With selectAll, a
+// tri-state parent checkbox comes first and checks or clears the whole group.
+export class CheckboxGroup extends Control {
+  constructor(x, y, items, checkedIndices, label, callback, options = {}) {
+    const orientation = options.orientation || 'vertical'; // 'vertical' or 'horizontal'
+    const gap = options.gap || 0; // Gap between items
+    const width = options.width || 250; // Default width for each item
+    const height = options.height || 45; // Default height for each item
+    const hasSelectAll = Boolean(options.selectAll);
+    const rowCount = items.length + (hasSelectAll ? 1 : 0);
 
-    super(x, y, width, height, options);
+    // Calculate label height if label is provided
+    const labelHeight = label ? 30 : 0; // Height to reserve for label
+
+    let totalWidth, totalHeight;
+    if (orientation === 'horizontal') {
+      totalWidth = rowCount * width + (rowCount - 1) * gap;
+      totalHeight = height + labelHeight;
+    } else {
+      totalWidth = width;
+      totalHeight = rowCount * height + (rowCount - 1) * gap + labelHeight;
+    }
+
+    super(x, y, totalWidth, totalHeight, options);
+    this.itemWidth = width;
+    this.itemHeight = height;
     this.items = items;
-    this.selectedIndex = selectedIndex;
+    this.checked = items.map((item, i) => (checkedIndices || []).includes(i));
     this.label = label;
-    this.callback = callback;
+    this.labelHeight = labelHeight;
+    this.callback = callback; // Called with (checkedIndices, checkedItems) after every change
     this.orientation = orientation;
-    this.arrowSize = options.arrowSize || 12;
+    this.gap = gap;
+    this.hasSelectAll = hasSelectAll;
+    this.selectAllLabel = isText(options.selectAll) ? options.selectAll : null; // null for the ui.all string
+    this.indent = hasSelectAll && orientation === 'vertical' ? 20 : 0; // Items sit under the parent checkbox
+    this.focusedRow = 0; // Row the keyboard/gamepad acts on (the parent checkbox is row 0 with selectAll)
+    this.boxSize = 18;
   }
 
-  getArrowBounds() {
-    if (this.orientation === 'horizontal') {
-      return {
-        left: {
-          x: this.x + this.options.padding,
-          y: this.y,
-          width: this.arrowSize * 2,
-          height: this.height,
-        },
-        right: {
-          x: this.x + this.width - this.options.padding - this.arrowSize * 2,
-          y: this.y,
-          width: this.arrowSize * 2,
-          height: this.height,
-        },
-      };
-    } else {
-      return {
-        up: {
-          x: this.x,
-          y: this.y + this.options.padding,
-          width: this.width,
-          height: this.arrowSize * 2,
-        },
-        down: {
-          x: this.x,
-          y: this.y + this.height - this.options.padding - this.arrowSize * 2,
-          width: this.width,
-          height: this.arrowSize * 2,
-        },
-      };
-    }
+  getRowCount() {
+    return this.items.length + (this.hasSelectAll ? 1 : 0);
   }
 
-  containsPointInBounds(x, y, bounds) {
-    return x >= bounds.x && x <= bounds.x + bounds.width && y >= bounds.y && y <= bounds.y + bounds.height;
+  // Item index for a row, or -1 for the select-all row
+  getItemIndex(row) {
+    return this.hasSelectAll ? row - 1 : row;
   }
 
-  isOverInteractiveArea(x, y) {
-    const arrows = this.getArrowBounds();
-    if (this.orientation === 'horizontal') {
-      return this.containsPointInBounds(x, y, arrows.left) || this.containsPointInBounds(x, y, arrows.right);
-    } else {
-      return this.containsPointInBounds(x, y, arrows.up) || this.containsPointInBounds(x, y, arrows.down);
-    }
+  getCheckedIndices() {
+    return this.checked.reduce((indices, isChecked, i) => (isChecked ? [...indices, i] : indices), []);
   }
 
-  handleClick(x, y) {
-    const arrows = this.getArrowBounds();
-    if (this.orientation === 'horizontal') {
-      if (this.containsPointInBounds(x, y, arrows.left)) {
-        this.selectPrevious();
-      } else if (this.containsPointInBounds(x, y, arrows.right)) {
-        this.selectNext();
-      }
-    } else {
-      if (this.containsPointInBounds(x, y, arrows.up)) {
-        this.selectPrevious();
-      } else if (this.containsPointInBounds(x, y, arrows.down)) {
-        this.selectNext();
-      }
+  getCheckedItems() {
+    return this.getCheckedIndices().map((i) => this.items[i]);
+  }
+
+  getSelectAllLabel() {
+    return this.selectAllLabel || this.localize('ui.all');
+  }
+
+  // State of the parent checkbox: true when all items are checked, false when none, otherwise 'mixed'
+  getSelectAllState() {
+    const count = this.getCheckedIndices().length;
+    if (count === 0) return false;
+    return count === this.items.length ? true : 'mixed';
+  }
+
+  setChecked(index, value) {
+    if (index < 0 || index >= this.items.length || this.checked[index] === value) {
+      return;
     }
+    this.checked[index] = value;
+    this.notifyChange();
   }
 
-  selectPrevious() {
-    this.selectedIndex = (this.selectedIndex - 1 + this.items.length) % this.items.length;
-    if (this.callback) {
-      this.callback(this.selectedIndex, this.items[this.selectedIndex]);
+  // Check every item, or clear them all
+  setAll(value) {
+    if (this.checked.every((isChecked) => isChecked === value)) {
+      return;
     }
+    this.checked = this.items.map(() => value);
+    this.notifyChange();
   }
 
-  selectNext() {
-    this.selectedIndex = (this.selectedIndex + 1) % this.items.length;
+  notifyChange() {
     if (this.callback) {
-      this.callback(this.selectedIndex, this.items[this.selectedIndex]);
+      this.callback(this.getCheckedIndices(), this.getCheckedItems());
     }
   }
 
-  handleKeyDown(e) {
-    if (this.orientation === 'horizontal') {
-      if (e.key === 'ArrowLeft') {
-        this.selectPrevious();
-        e.preventDefault();
-      } else if (e.key === 'ArrowRight') {
-        this.selectNext();
-        e.preventDefault();
-      }
+  // Flip a row: the parent checkbox checks everything unless everything is already checked
+  toggleRow(row) {
+    const index = this.getItemIndex(row);
+    if (index < 0) {
+      this.setAll(this.getSelectAllState() !== true);
     } else {
-      if (e.key === 'ArrowUp') {
-        this.selectPrevious();
-        e.preventDefault();
-      } else if (e.key === 'ArrowDown') {
-        this.selectNext();
-        e.preventDefault();
-      }
+      this.setChecked(index, !this.checked[index]);
     }
   }
 
-  handleGamepadLeft() {
-    this.selectPrevious();
+  moveFocus(step) {
+    const count = this.getRowCount();
+    this.focusedRow = (this.focusedRow + step + count) % count;
   }
 
-  handleGamepadRight() {
-    this.selectNext();
+  getItemBounds(row) {
+    if (this.orientation === 'horizontal') {
+      return {
+        x: this.x + row * (this.itemWidth + this.gap),
+        y: this.y + this.labelHeight,
+        width: this.itemWidth,
+        height: this.itemHeight,
+      };
+    } else {
+      return {
+        x: this.x,
+        y: this.y + this.labelHeight + row * (this.itemHeight + this.gap),
+        width: this.itemWidth,
+        height: this.itemHeight,
+      };
+    }
   }
 
-  drawTriangle(ctx, centerX, centerY, direction) {
-    const size = this.arrowSize;
+  // Share the new size between the rows, keeping room for the label
+  setSize(width, height) {
+    super.setSize(width, height);
+    const count = Math.max(1, this.getRowCount());
+    if (this.orientation === 'horizontal') {
+      this.itemWidth = (width - (count - 1) * this.gap) / count;
+      this.itemHeight = height - this.labelHeight;
+    } else {
+      this.itemWidth = width;
+      this.itemHeight = (height - this.labelHeight - (count - 1) * this.gap) / count;
+    }
+  }
+
+  getRowAt(x, y) {
+    for (let row = 0; row < this.getRowCount(); row++) {
+      const bounds = this.getItemBounds(row);
+      if (x >= bounds.x && x <= bounds.x + bounds.width && y >= bounds.y && y <= bounds.y + bounds.height) {
+        return row;
+      }
+    }
+    return -1;
+  }
+
+  isOverInteractiveArea(x, y) {
+    return this.getRowAt(x, y) >= 0;
+  }
+
+  handleClick(x, y) {
+    const row = this.getRowAt(x, y);
+    if (row >= 0) {
+      this.focusedRow = row;
+      this.toggleRow(row);
+    }
+  }
+
+  handleKeyDown(e) {
+    const isVertical = this.orientation === 'vertical';
+    const prevKey = isVertical ? 'ArrowUp' : 'ArrowLeft';
+    const nextKey = isVertical ? 'ArrowDown' : 'ArrowRight';
+
+    if (e.key === prevKey) {
+      this.moveFocus(-1);
+      e.preventDefault();
+    } else if (e.key === nextKey) {
+      this.moveFocus(1);
+      e.preventDefault();
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      this.toggleRow(this.focusedRow);
+      e.preventDefault();
+    }
+  }
+
+  handleGamepadLeft() {
+    this.moveFocus(-1);
+  }
+
+  handleGamepadRight() {
+    this.moveFocus(1);
+  }
+
+  // Gamepad A flips the focused row
+  activate() {
+    this.toggleRow(this.focusedRow);
+  }
+
+  // One checkbox per row; the select-all checkbox is mixed while only some items are checked
+  getAccessibleInfo() {
+    const items = this.items.map((item, i) => ({ role: 'checkbox', label: item, checked: this.checked[i] }));
+    if (this.hasSelectAll) {
+      items.unshift({ role: 'checkbox', label: this.getSelectAllLabel(), checked: this.getSelectAllState() });
+    }
+    return { role: 'group', label: this.label, items, activeItem: this.focusedRow };
+  }
+
+  handleAccessibleAction(item = this.focusedRow) {
+    this.focusedRow = item;
+    this.toggleRow(item);
+  }
+
+  // Move between rows along the orientation; at the first/last row focus leaves the group
+  handlesDirection(direction) {
+    const isVertical = this.orientation === 'vertical';
+    if (direction === (isVertical ? 'up' : 'left')) {
+      return this.focusedRow > 0;
+    }
+    if (direction === (isVertical ? 'down' : 'right')) {
+      return this.focusedRow < this.getRowCount() - 1;
+    }
+    return false;
+  }
+
+  draw(ctx, isFocused) {
+    const radius = this.options.borderRadius;
+
+    // Draw background for entire control with rounded corners
+    ctx.fillStyle = this.options.controlSurfaceColor;
+    if (radius > 0) {
+      DrawRoundedRect(ctx, this.x, this.y, this.width, this.height, radius);
+      ctx.fill();
+    } else {
+      ctx.fillRect(this.x, this.y, this.width, this.height);
+    }
+
+    // Draw label at top-left if provided
+    if (this.label) {
+      ctx.font = this.options.font;
+      ctx.fillStyle = this.options.textColor;
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      this.fillLabel(ctx, this.label, this.x + this.options.padding, this.y + this.options.padding);
+    }
+
+    for (let row = 0; row < this.getRowCount(); row++) {
+      const bounds = this.getItemBounds(row);
+      const index = this.getItemIndex(row);
+      const state = index < 0 ? this.getSelectAllState() : this.checked[index];
+
+      // Outline the row the keyboard/gamepad acts on
+      if (isFocused && row === this.focusedRow) {
+        ctx.strokeStyle = this.options.controlFocusBorderColor;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(bounds.x + 2, bounds.y + 2, bounds.width - 4, bounds.height - 4);
+      }
+
+      const boxX = bounds.x + this.options.padding + (index < 0 ? 0 : this.indent);
+      const boxY = bounds.y + (bounds.height - this.boxSize) / 2;
+      drawCheckbox(ctx, boxX, boxY, this.boxSize, state, this.options);
+
+      // Label
+      ctx.font = `${this.options.fontSize}px ${this.options.fontFamily}`;
+      ctx.fillStyle = this.options.controlTextColor;
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      this.fillLabel(ctx, index < 0 ? this.getSelectAllLabel() : this.items[index], boxX + this.boxSize + 8, bounds.y + bounds.height / 2);
+    }
+
+    // Draw outer border around entire control
+    ctx.strokeStyle = isFocused ? this.options.controlFocusBorderColor : this.options.controlBorderColor;
+    ctx.lineWidth = this.options.borderWidth;
+    if (radius > 0) {
+      DrawRoundedRect(ctx, this.x, this.y, this.width, this.height, radius);
+      ctx.stroke();
+    } else {
+      ctx.strokeRect(this.x, this.y, this.width, this.height);
+    }
+  }
+}
+
+// Carousel Control
+export class Carousel extends Control {
+  constructor(x, y, items, selectedIndex, label, callback, options = {}) {
+    const orientation = options.orientation || 'horizontal';
+    const width = options.width || 250;
+    const height = options.height || 60;
+
+    super(x, y, width, height, options);
+    this.items = items;
+    this.selectedIndex = selectedIndex;
+    this.label = label;
+    this.callback = callback;
+    this.orientation = orientation;
+    this.arrowSize = options.arrowSize || 12;
+  }
+
+  getArrowBounds() {
+    if (this.orientation === 'horizontal') {
+      return {
+        left: {
+          x: this.x + this.options.padding,
+          y: this.y,
+          width: this.arrowSize * 2,
+          height: this.height,
+        },
+        right: {
+          x: this.x + this.width - this.options.padding - this.arrowSize * 2,
+          y: this.y,
+          width: this.arrowSize * 2,
+          height: this.height,
+        },
+      };
+    } else {
+      return {
+        up: {
+          x: this.x,
+          y: this.y + this.options.padding,
+          width: this.width,
+          height: this.arrowSize * 2,
+        },
+        down: {
+          x: this.x,
+          y: this.y + this.height - this.options.padding - this.arrowSize * 2,
+          width: this.width,
+          height: this.arrowSize * 2,
+        },
+      };
+    }
+  }
+
+  containsPointInBounds(x, y, bounds) {
+    return x >= bounds.x && x <= bounds.x + bounds.width && y >= bounds.y && y <= bounds.y + bounds.height;
+  }
+
+  isOverInteractiveArea(x, y) {
+    const arrows = this.getArrowBounds();
+    if (this.orientation === 'horizontal') {
+      return this.containsPointInBounds(x, y, arrows.left) || this.containsPointInBounds(x, y, arrows.right);
+    } else {
+      return this.containsPointInBounds(x, y, arrows.up) || this.containsPointInBounds(x, y, arrows.down);
+    }
+  }
+
+  handleClick(x, y) {
+    const arrows = this.getArrowBounds();
+    if (this.orientation === 'horizontal') {
+      if (this.containsPointInBounds(x, y, arrows.left)) {
+        this.selectPrevious();
+      } else if (this.containsPointInBounds(x, y, arrows.right)) {
+        this.selectNext();
+      }
+    } else {
+      if (this.containsPointInBounds(x, y, arrows.up)) {
+        this.selectPrevious();
+      } else if (this.containsPointInBounds(x, y, arrows.down)) {
+        this.selectNext();
+      }
+    }
+  }
+
+  selectPrevious() {
+    this.selectedIndex = (this.selectedIndex - 1 + this.items.length) % this.items.length;
+    if (this.callback) {
+      this.callback(this.selectedIndex, this.items[this.selectedIndex]);
+    }
+  }
+
+  selectNext() {
+    this.selectedIndex = (this.selectedIndex + 1) % this.items.length;
+    if (this.callback) {
+      this.callback(this.selectedIndex, this.items[this.selectedIndex]);
+    }
+  }
+
+  getAccessibleInfo() {
+    return {
+      role: 'spinbutton',
+      label: this.label,
+      value: this.selectedIndex,
+      min: 0,
+      max: this.items.length - 1,
+      valueText: this.items[this.selectedIndex],
+    };
+  }
+
+  // Activating steps forward, like the right or down arrow
+  handleAccessibleAction(item) {
+    if (item === 'decrement') {
+      this.selectPrevious();
+    } else {
+      this.selectNext();
+    }
+  }
+
+  handleKeyDown(e) {
+    if (this.orientation === 'horizontal') {
+      if (e.key === 'ArrowLeft') {
+        this.selectPrevious();
+        e.preventDefault();
+      } else if (e.key === 'ArrowRight') {
+        this.selectNext();
+        e.preventDefault();
+      }
+    } else {
+      if (e.key === 'ArrowUp') {
+        this.selectPrevious();
+        e.preventDefault();
+      } else if (e.key === 'ArrowDown') {
+        this.selectNext();
+        e.preventDefault();
+      }
+    }
+  }
+
+  handleGamepadLeft() {
+    this.selectPrevious();
+  }
+
+  handleGamepadRight() {
+    this.selectNext();
+  }
+
+  // Arrows along the orientation cycle through items
+  handlesDirection(direction) {
+    if (this.orientation === 'horizontal') {
+      return direction === 'left' || direction === 'right';
+    }
+    return direction === 'up' || direction === 'down';
+  }
+
+  drawTriangle(ctx, centerX, centerY, direction) {
+    const size = this.arrowSize;
 
     ctx.fillStyle = this.options.controlColor;
     ctx.beginPath();
@@ -1550,10 +4853,10 @@ export class Carousel extends Control {
       ctx.fillStyle = this.options.controlTextColor;
       ctx.textAlign = 'left';
       ctx.textBaseline = 'top';
-      ctx.fillText(this.label, this.x + this.options.padding, this.y + this.options.padding);
+      this.fillLabel(ctx, this.label, this.x + this.options.padding, this.y + this.options.padding);
 
       // Calculate label height and spacing
-      const metrics = ctx.measureText(this.label);
+      const metrics = measureLabelText(ctx, this.label);
       // Use 16 as fallback approximation (standard font height) if metrics not available
       const textHeight = metrics.actualBoundingBoxAscent + metrics.actualBoundingBoxDescent || 16;
       labelHeight = textHeight + this.options.padding * 1.0; // label height + reduced spacing
@@ -1581,7 +4884,7 @@ export class Carousel extends Control {
       ctx.fillStyle = this.options.textColor;
       ctx.textAlign = 'center';
       ctx.textBaseline = 'middle';
-      ctx.fillText(this.items[this.selectedIndex], this.x + this.width / 2, contentCenterY);
+      this.fillLabel(ctx, this.items[this.selectedIndex], this.x + this.width / 2, contentCenterY);
     } else {
       // Vertical orientation - position arrows within content area (below label if present)
       const contentHeight = this.height - labelHeight;
@@ -1599,7 +4902,7 @@ export class Carousel extends Control {
       ctx.fillStyle = this.options.textColor;
       ctx.textAlign = 'center';
       ctx.textBaseline = 'middle';
-      ctx.fillText(this.items[this.selectedIndex], this.x + this.width / 2, contentCenterY);
+      this.fillLabel(ctx, this.items[this.selectedIndex], this.x + this.width / 2, contentCenterY);
     }
 
     // Draw border
@@ -1612,205 +4915,2226 @@ export class Carousel extends Control {
       ctx.strokeRect(this.x, this.y, this.width, this.height);
     }
   }
-}
+}
+
+// Slider Control
+export class Slider extends Control {
+  constructor(x, y, min, max, value, step, label, callback, options = {}) {
+    const width = options.width || 300; // Default width
+    const height = options.height || 80; // Default height
+    super(x, y, width, height, options);
+    this.min = min;
+    this.max = max;
+    this.value = value;
+    this.step = step;
+    this.label = label;
+    this.callback = callback;
+    this.onCommit = options.onCommit || null; // Called with the final value when a change is finished
+    this.dragging = false;
+    this.dragOffset = 0; // Distance from the knob center to where it was grabbed
+    this.zeroText = options.zeroText; // Optional text to display when value is 0
+  }
+
+  isOverInteractiveArea(x, y) {
+    // Check if over the slider track or knob area
+    const trackY = this.y + this.height / 2;
+    const trackX = this.x + this.options.padding;
+    const trackWidth = this.width - this.options.padding * 2;
+    const trackHeight = 4;
+
+    // Calculate knob position
+    const percent = (this.value - this.min) / (this.max - this.min);
+    const knobSize = 20;
+    const knobX = trackX + trackWidth * percent - knobSize / 2;
+    const knobY = trackY - knobSize / 2;
+
+    // Check if over knob (with some extra margin for easier interaction)
+    const knobMargin = 5;
+    if (x >= knobX - knobMargin && x <= knobX + knobSize + knobMargin && y >= knobY - knobMargin && y <= knobY + knobSize + knobMargin) {
+      return true;
+    }
+
+    // Check if over track
+    if (x >= trackX && x <= trackX + trackWidth && y >= trackY - trackHeight * 2 && y <= trackY + trackHeight * 2) {
+      return true;
+    }
+
+    return false;
+  }
+
+  handleClick(x, y) {
+    this.updateValueFromX(x);
+    this.commit();
+  }
+
+  // Start dragging when pressed on the knob or track
+  handleMouseDown(x, y) {
+    if (!this.isOverInteractiveArea(x, y)) {
+      return false;
+    }
+
+    // Grabbing the knob keeps it under the pointer; pressing the track jumps the knob there
+    const knobCenterX = this.getKnobCenterX();
+    const knobSize = 20;
+    this.dragOffset = Math.abs(x - knobCenterX) <= knobSize / 2 ? x - knobCenterX : 0;
+    this.dragging = true;
+    this.updateValueFromX(x - this.dragOffset);
+    return true;
+  }
+
+  handleMouseMove(x, y) {
+    if (this.dragging) {
+      this.updateValueFromX(x - this.dragOffset);
+    }
+  }
+
+  handleMouseUp(x, y) {
+    if (this.dragging) {
+      this.dragging = false;
+      this.dragOffset = 0;
+      this.commit();
+    }
+  }
+
+  getKnobCenterX() {
+    const trackX = this.x + this.options.padding;
+    const trackWidth = this.width - this.options.padding * 2;
+    return trackX + (trackWidth * (this.value - this.min)) / (this.max - this.min);
+  }
+
+  // Notify that the value has settled (drag released, click or key step)
+  commit() {
+    if (this.onCommit) {
+      this.onCommit(this.value);
+    }
+  }
+
+  getAccessibleInfo() {
+    const valueText = this.value === 0 && this.zeroText ? this.zeroText : String(this.value);
+    return { role: 'slider', label: this.label, value: this.value, min: this.min, max: this.max, valueText };
+  }
+
+  handleAccessibleAction(item) {
+    if (item === 'increment' || item === 'decrement') {
+      this.stepValue(item === 'increment' ? 1 : -1);
+    }
+  }
+
+  // Move one step down (direction < 0) or up; nothing is notified when the value is already at the end
+  stepValue(direction) {
+    const value = direction < 0 ? Math.max(this.min, this.value - this.step) : Math.min(this.max, this.value + this.step);
+    if (value === this.value) {
+      return;
+    }
+    this.value = value;
+    if (this.callback) {
+      this.callback(this.value);
+    }
+    this.commit();
+  }
+
+  handleKeyDown(e) {
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      this.stepValue(e.key === 'ArrowLeft' ? -1 : 1);
+      e.preventDefault();
+    }
+  }
+
+  handleGamepadAxis(direction) {
+    this.stepValue(direction);
+  }
+
+  // Left/right adjust the value
+  handlesDirection(direction) {
+    return direction === 'left' || direction === 'right';
+  }
+
+  updateValueFromX(x) {
+    const sliderX = this.x + this.options.padding;
+    const sliderWidth = this.width - this.options.padding * 2;
+    const percent = Math.max(0, Math.min(1, (x - sliderX) / sliderWidth));
+
+    let newValue = this.min + percent * (this.max - this.min);
+    newValue = Math.round(newValue / this.step) * this.step;
+    newValue = Math.max(this.min, Math.min(this.max, newValue));
+
+    if (newValue !== this.value) {
+      this.value = newValue;
+      if (this.callback) {
+        this.callback(this.value);
+      }
+    }
+  }
+
+  draw(ctx, isFocused) {
+    this.drawBase(ctx, isFocused);
+
+    // Draw label
+    ctx.font = this.options.font;
+    ctx.fillStyle = this.options.textColor;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    this.fillLabel(ctx, this.label, this.x + this.options.padding, this.y + this.options.padding);
+
+    // Draw slider track
+    const trackY = this.y + this.height / 2;
+    const trackX = this.x + this.options.padding;
+    const trackWidth = this.width - this.options.padding * 2;
+    const trackHeight = 4;
+    const trackRadius = this.options.borderRadius > 0 ? Math.min(trackHeight / 2, this.options.borderRadius / 2) : trackHeight / 2;
+
+    ctx.fillStyle = '#666666';
+    DrawRoundedRect(ctx, trackX, trackY - trackHeight / 2, trackWidth, trackHeight, trackRadius);
+    ctx.fill();
+
+    // Draw filled portion - use controlColor for active part
+    const percent = (this.value - this.min) / (this.max - this.min);
+    ctx.fillStyle = this.options.controlColor;
+    DrawRoundedRect(ctx, trackX, trackY - trackHeight / 2, trackWidth * percent, trackHeight, trackRadius);
+    ctx.fill();
+
+    // Draw slider knob - use controlColor to match the filled track
+    const knobSize = 20;
+    // Calculate knob position based on value percentage
+    const knobCenterX = trackX + trackWidth * percent;
+    const knobLeftEdge = knobCenterX - knobSize / 2;
+    // Constrain knob position to stay within control borders
+    const minKnobX = trackX;
+    const maxKnobX = trackX + trackWidth - knobSize;
+    const knobX = Math.max(minKnobX, Math.min(maxKnobX, knobLeftEdge));
+    const knobY = trackY - knobSize / 2;
+    const knobRadius = this.options.borderRadius > 0 ? Math.min(knobSize / 2, this.options.borderRadius) : knobSize / 2;
+
+    ctx.fillStyle = this.dragging ? this.options.controlClickColor : this.options.controlColor;
+    DrawRoundedRect(ctx, knobX, knobY, knobSize, knobSize, knobRadius);
+    ctx.fill();
+
+    // Use controlColor for knob border to match the control, regardless of focus state
+    ctx.strokeStyle = this.options.controlColor;
+    ctx.lineWidth = 2;
+    DrawRoundedRect(ctx, knobX, knobY, knobSize, knobSize, knobRadius);
+    ctx.stroke();
+
+    // Draw value
+    ctx.font = this.options.font;
+    ctx.fillStyle = this.options.textColor;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'bottom';
+    // Display zeroText if value is exactly 0 and zeroText is provided
+    const displayText = this.value === 0 && this.zeroText ? this.zeroText : this.value.toString();
+    ctx.fillText(displayText, this.x + this.width - this.options.padding, this.y + this.height - this.options.padding);
+  }
+}
+
+// ProgressBar - non-interactive display of a value: loading bars, XP bars and health/stamina meters.
+// Horizontal, vertical or radial; eases toward new values and has an animated indeterminate mode.
+export class ProgressBar extends Control {
+  constructor(x, y, value, options = {}) {
+    const variant = options.variant || 'horizontal'; // 'horizontal', 'vertical' or 'radial'
+    const defaultWidth = variant === 'horizontal' ? 300 : variant === 'vertical' ? 24 : 100;
+    const defaultHeight = variant === 'horizontal' ? 24 : variant === 'vertical' ? 200 : 100;
+    super(x, y, options.width || defaultWidth, options.height || defaultHeight, options);
+    this.focusable = options.focusable === true;
+    this.variant = variant;
+    this.min = options.min !== undefined ? options.min : 0;
+    this.max = options.max !== undefined ? options.max : 100;
+    this.value = this.clamp(value || 0);
+    this.displayValue = this.value; // Value drawn, easing toward value
+    this.animationTime = options.animationTime !== undefined ? options.animationTime : 250; // Easing time constant in ms; 0 jumps
+    this.indeterminate = options.indeterminate === true; // Unknown progress: draw a moving block instead
+    this.indeterminatePeriod = options.indeterminatePeriod || 1500; // Milliseconds per sweep
+    this.indeterminatePhase = 0;
+    this.segments = options.segments || 0; // Split the bar into this many blocks with gaps between
+    this.segmentGap = options.segmentGap !== undefined ? options.segmentGap : 3;
+    this.ticks = options.ticks || 0; // Draw tick marks dividing the bar into this many parts
+    this.thickness = options.thickness || Math.max(4, Math.min(this.width, this.height) * 0.15); // Radial ring width
+    this.showLabel = options.showLabel === true || typeof options.formatLabel === 'function';
+    this.formatLabel = options.formatLabel || null; // (value, min, max) => text
+  }
+
+  clamp(value) {
+    return Math.max(this.min, Math.min(this.max, value));
+  }
+
+  // Set the value; the bar eases toward it unless animate is false
+  setValue(value, animate = true) {
+    this.value = this.clamp(value);
+    if (!animate || this.animationTime <= 0) {
+      this.displayValue = this.value;
+    }
+  }
+
+  setIndeterminate(indeterminate) {
+    this.indeterminate = indeterminate;
+    this.indeterminatePhase = 0;
+  }
+
+  // Fraction (0-1) of the bar filled by a value
+  getFraction(value = this.displayValue) {
+    return this.max > this.min ? (value - this.min) / (this.max - this.min) : 0;
+  }
+
+  getLabelText() {
+    if (this.formatLabel) {
+      return String(this.formatLabel(this.value, this.min, this.max));
+    }
+    return `${Math.round(this.getFraction(this.value) * 100)}%`;
+  }
+
+  // Indeterminate bars have no value
+  getAccessibleInfo() {
+    if (this.indeterminate) {
+      return { role: 'progressbar' };
+    }
+    return { role: 'progressbar', value: this.value, min: this.min, max: this.max, valueText: this.getLabelText() };
+  }
+
+  // Progress bars are display only
+  containsPoint(x, y) {
+    return false;
+  }
+
+  update(deltaTime) {
+    if (this.indeterminate) {
+      this.indeterminatePhase = (this.indeterminatePhase + deltaTime / this.indeterminatePeriod) % 1;
+    }
+
+    if (this.displayValue !== this.value) {
+      const t = this.animationTime > 0 ? 1 - Math.exp(-deltaTime / this.animationTime) : 1;
+      this.displayValue += (this.value - this.displayValue) * t;
+      if (Math.abs(this.value - this.displayValue) < (this.max - this.min) * 0.001) {
+        this.displayValue = this.value;
+      }
+    }
+  }
+
+  draw(ctx, isFocused) {
+    if (this.variant === 'radial') {
+      this.drawRadial(ctx);
+    } else {
+      this.drawLinear(ctx, isFocused);
+    }
+
+    if (this.showLabel && !this.indeterminate) {
+      ctx.font = this.options.font;
+      ctx.fillStyle = this.options.controlTextColor;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(this.getLabelText(), this.x + this.width / 2, this.y + this.height / 2);
+    }
+  }
+
+  // Filled span along the bar as fractions { start, end }
+  getFillSpan() {
+    if (this.indeterminate) {
+      // A block a third of the bar long sweeps from before the start to past the end
+      const size = 1 / 3;
+      const start = this.indeterminatePhase * (1 + size) - size;
+      return { start: Math.max(0, start), end: Math.min(1, start + size) };
+    }
+    return { start: 0, end: this.getFraction() };
+  }
+
+  drawLinear(ctx, isFocused) {
+    const vertical = this.variant === 'vertical';
+    const length = vertical ? this.height : this.width;
+    const radius = Math.min(this.options.borderRadius, Math.min(this.width, this.height) / 2);
+    const span = this.getFillSpan();
+
+    // Rectangle for a span along the bar; vertical bars fill from the bottom up
+    const spanRect = (start, end) =>
+      vertical
+        ? { x: this.x, y: this.y + this.height - end * length, width: this.width, height: (end - start) * length }
+        : { x: this.x + start * length, y: this.y, width: (end - start) * length, height: this.height };
+    const fillRect = (rect, color) => {
+      if (rect.width <= 0 || rect.height <= 0) return;
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      DrawRoundedRect(ctx, rect.x, rect.y, rect.width, rect.height, Math.min(radius, rect.width / 2, rect.height / 2));
+      ctx.fill();
+    };
+
+    if (this.segments > 0) {
+      // Each block shows the part of the fill that covers it
+      const gap = this.segmentGap / length;
+      const size = (1 - gap * (this.segments - 1)) / this.segments;
+      for (let i = 0; i < this.segments; i++) {
+        const start = i * (size + gap);
+        const end = start + size;
+        fillRect(spanRect(start, end), this.options.trackColor || this.options.controlSurfaceColor);
+        const fillStart = Math.max(start, span.start);
+        const fillEnd = Math.min(end, span.end);
+        if (fillEnd > fillStart) {
+          fillRect(spanRect(fillStart, fillEnd), this.options.fillColor || this.options.controlColor);
+        }
+      }
+      return;
+    }
+
+    fillRect(spanRect(0, 1), this.options.trackColor || this.options.controlSurfaceColor);
+    fillRect(spanRect(span.start, span.end), this.options.fillColor || this.options.controlColor);
+
+    // Tick marks between the parts of the bar
+    if (this.ticks > 1) {
+      ctx.strokeStyle = this.options.controlBorderColor;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      for (let i = 1; i < this.ticks; i++) {
+        const rect = spanRect(i / this.ticks, i / this.ticks);
+        ctx.moveTo(rect.x, rect.y);
+        ctx.lineTo(vertical ? rect.x + this.width : rect.x, vertical ? rect.y : rect.y + this.height);
+      }
+      ctx.stroke();
+    }
+
+    // Border
+    if (this.options.borderWidth > 0) {
+      ctx.strokeStyle = isFocused ? this.options.controlFocusBorderColor : this.options.controlBorderColor;
+      ctx.lineWidth = this.options.borderWidth;
+      ctx.beginPath();
+      DrawRoundedRect(ctx, this.x, this.y, this.width, this.height, radius);
+      ctx.stroke();
+    }
+  }
+
+  drawRadial(ctx) {
+    const centerX = this.x + this.width / 2;
+    const centerY = this.y + this.height / 2;
+    const ringRadius = Math.min(this.width, this.height) / 2 - this.thickness / 2;
+    const startAngle = -Math.PI / 2; // 12 o'clock, filling clockwise
+    const span = this.getFillSpan();
+    const arc = (start, end, color) => {
+      if (end <= start) return;
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      ctx.arc(centerX, centerY, ringRadius, startAngle + start * Math.PI * 2, startAngle + end * Math.PI * 2);
+      ctx.stroke();
+    };
+
+    ctx.lineWidth = this.thickness;
+    ctx.lineCap = 'butt';
+    const trackColor = this.options.trackColor || this.options.controlSurfaceColor;
+    const fillColor = this.options.fillColor || this.options.controlColor;
+
+    if (this.segments > 0) {
+      const gap = this.segmentGap / (Math.PI * 2 * ringRadius);
+      const size = 1 / this.segments - gap;
+      for (let i = 0; i < this.segments; i++) {
+        const start = i / this.segments + gap / 2;
+        const end = start + size;
+        arc(start, end, trackColor);
+        arc(Math.max(start, span.start), Math.min(end, span.end), fillColor);
+      }
+    } else {
+      arc(0, 1, trackColor);
+      arc(span.start, span.end, fillColor);
+    }
+
+    if (this.ticks > 1) {
+      ctx.strokeStyle = this.options.controlBorderColor;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      for (let i = 0; i < this.ticks; i++) {
+        const angle = startAngle + (i / this.ticks) * Math.PI * 2;
+        const inner = ringRadius - this.thickness / 2;
+        const outer = ringRadius + this.thickness / 2;
+        ctx.moveTo(centerX + Math.cos(angle) * inner, centerY + Math.sin(angle) * inner);
+        ctx.lineTo(centerX + Math.cos(angle) * outer, centerY + Math.sin(angle) * outer);
+      }
+      ctx.stroke();
+    }
+  }
+}
+
+// ListBox - scrollable list for hundreds of rows; only the visible rows are drawn.
+// Items are strings or { label, secondary, image, value, callback } objects.
+export class ListBox extends Control {
+  constructor(x, y, items, options = {}) {
+    const width = options.width || 300; // Default width
+    const height = options.height || 300; // Default height
+    super(x, y, width, height, options);
+    this.items = items.map((item) => (isText(item) ? { label: item } : item));
+    this.rowHeight = options.rowHeight || 40;
+    this.multiSelect = options.multiSelect === true;
+    this.renderRow = options.renderRow || null; // (ctx, item, bounds, state) draws a row instead of the default
+    this.onSelectionChange = options.onSelectionChange || null; // Called with the selected index (or indices when multiSelect)
+    this.onActivate = options.onActivate || null; // Called with (index, item) on Enter / A / tap
+
+    this.selectedIndex = options.selectedIndex !== undefined ? options.selectedIndex : 0; // Row with the cursor
+    this.selectedIndices = new Set(this.multiSelect ? options.selectedIndices || [] : []);
+    this.scrollY = 0;
+    this.scrollbarWidth = options.scrollbarWidth || 8;
+
+    // Type-ahead: letters typed within a second of each other find a row by its label
+    this.typeAhead = '';
+    this.typeAheadTime = 0;
+
+    this.pressed = false;
+    this.pressedTime = 0;
+    this.pressedDuration = 300; // milliseconds
+    this.drag = null;
+  }
+
+  setItems(items) {
+    this.items = items.map((item) => (isText(item) ? { label: item } : item));
+    this.selectedIndex = Math.max(0, Math.min(this.selectedIndex, this.items.length - 1));
+    this.selectedIndices = new Set([...this.selectedIndices].filter((index) => index < this.items.length));
+    this.scrollTo(this.scrollY);
+  }
+
+  // Selected row index, or the sorted indices of the selected rows when multiSelect
+  getSelection() {
+    return this.multiSelect ? [...this.selectedIndices].sort((a, b) => a - b) : this.selectedIndex;
+  }
+
+  getSelectedItems() {
+    return this.multiSelect ? this.getSelection().map((index) => this.items[index]) : [this.items[this.selectedIndex]].filter(Boolean);
+  }
+
+  notifySelectionChange() {
+    if (this.onSelectionChange) {
+      this.onSelectionChange(this.getSelection());
+    }
+  }
+
+  // Move the cursor to a row (clamped) and scroll it into view
+  moveTo(index) {
+    if (this.items.length === 0) return;
+    const previous = this.selectedIndex;
+    this.selectedIndex = Math.max(0, Math.min(this.items.length - 1, index));
+    this.scrollIntoView(this.selectedIndex);
+    if (!this.multiSelect && this.selectedIndex !== previous) {
+      this.notifySelectionChange();
+    }
+  }
+
+  // Move up or down one row, wrapping around like a Menu
+  step(delta) {
+    if (this.items.length === 0) return;
+    this.moveTo((this.selectedIndex + delta + this.items.length) % this.items.length);
+  }
+
+  getPageSize() {
+    return Math.max(1, Math.floor(this.height / this.rowHeight));
+  }
+
+  toggleSelected(index) {
+    if (!this.multiSelect || index < 0 || index >= this.items.length) return;
+    if (this.selectedIndices.has(index)) {
+      this.selectedIndices.delete(index);
+    } else {
+      this.selectedIndices.add(index);
+    }
+    this.notifySelectionChange();
+  }
+
+  activate() {
+    const item = this.items[this.selectedIndex];
+    if (!item) return;
+    if (this.multiSelect) {
+      this.toggleSelected(this.selectedIndex);
+    }
+    this.pressed = true;
+    this.pressedTime = 0;
+    // Delay callbacks to allow visual feedback
+    const index = this.selectedIndex;
+    setTimeout(() => {
+      if (item.callback) {
+        item.callback(index, item);
+      }
+      if (this.onActivate) {
+        this.onActivate(index, item);
+      }
+    }, this.pressedDuration);
+  }
+
+  // Only the rows in view are described (with their position in the whole list), as only they are drawn
+  getAccessibleInfo() {
+    const first = Math.floor(this.scrollY / this.rowHeight);
+    const last = Math.min(this.items.length, first + this.getPageSize() + 1);
+    const items = [];
+    for (let index = first; index < last; index++) {
+      const selected = this.multiSelect ? this.selectedIndices.has(index) : index === this.selectedIndex;
+      items.push({ role: 'option', label: this.items[index].label, selected, position: index + 1, setSize: this.items.length, index });
+    }
+    return { role: 'listbox', multiSelect: this.multiSelect, items, activeItem: this.selectedIndex - first };
+  }
+
+  handleAccessibleAction(item = this.selectedIndex) {
+    this.moveTo(item);
+    this.activate();
+  }
+
+  getMaxScroll() {
+    return Math.max(0, this.items.length * this.rowHeight - this.height);
+  }
+
+  scrollTo(scrollY) {
+    this.scrollY = Math.max(0, Math.min(this.getMaxScroll(), scrollY));
+  }
+
+  scrollIntoView(index) {
+    const top = index * this.rowHeight;
+    if (top < this.scrollY) {
+      this.scrollTo(top);
+    } else if (top + this.rowHeight > this.scrollY + this.height) {
+      this.scrollTo(top + this.rowHeight - this.height);
+    }
+  }
+
+  getRowAt(y) {
+    const index = Math.floor((y - this.y + this.scrollY) / this.rowHeight);
+    return index >= 0 && index < this.items.length ? index : -1;
+  }
+
+  // Find the next row whose label starts with the typed text
+  findByPrefix(prefix) {
+    const search = prefix.toLowerCase();
+    // Repeating one letter cycles through the rows starting with it
+    const start = search.length === 1 ? this.selectedIndex + 1 : this.selectedIndex;
+    for (let i = 0; i < this.items.length; i++) {
+      const index = (start + i) % this.items.length;
+      if (String(this.items[index].label).toLowerCase().startsWith(search)) {
+        return index;
+      }
+    }
+    return -1;
+  }
+
+  handleTypeAhead(character) {
+    const repeated = this.typeAhead.length > 0 && [...this.typeAhead].every((ch) => ch === character);
+    this.typeAhead = repeated ? character : this.typeAhead + character;
+    this.typeAheadTime = 0;
+    const index = this.findByPrefix(this.typeAhead);
+    if (index >= 0) {
+      this.moveTo(index);
+    }
+  }
+
+  handleKeyDown(e) {
+    if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') {
+      this.step(-1);
+      e.preventDefault();
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowRight') {
+      this.step(1);
+      e.preventDefault();
+    } else if (e.key === 'PageUp') {
+      this.moveTo(this.selectedIndex - this.getPageSize());
+      e.preventDefault();
+    } else if (e.key === 'PageDown') {
+      this.moveTo(this.selectedIndex + this.getPageSize());
+      e.preventDefault();
+    } else if (e.key === 'Home') {
+      this.moveTo(0);
+      e.preventDefault();
+    } else if (e.key === 'End') {
+      this.moveTo(this.items.length - 1);
+      e.preventDefault();
+    } else if (this.multiSelect && (e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'a') {
+      this.selectedIndices = new Set(this.items.map((item, index) => index));
+      this.notifySelectionChange();
+      e.preventDefault();
+    } else if (e.key === 'Enter' || (e.key === ' ' && !this.typeAhead)) {
+      this.activate();
+      e.preventDefault();
+    } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey) {
+      this.handleTypeAhead(e.key.toLowerCase());
+      e.preventDefault();
+    }
+  }
+
+  handleGamepadLeft() {
+    this.step(-1);
+  }
+
+  handleGamepadRight() {
+    this.step(1);
+  }
+
+  // Triggers page through the list; X toggles a row when multiSelect
+  handleGamepadButton(buttonIndex) {
+    if (buttonIndex === 6) {
+      this.moveTo(this.selectedIndex - this.getPageSize());
+    } else if (buttonIndex === 7) {
+      this.moveTo(this.selectedIndex + this.getPageSize());
+    } else if (buttonIndex === 2) {
+      this.toggleSelected(this.selectedIndex);
+    }
+  }
+
+  // Move between rows; at the first/last row focus leaves the list
+  handlesDirection(direction) {
+    if (direction === 'up') {
+      return this.selectedIndex > 0;
+    }
+    if (direction === 'down') {
+      return this.selectedIndex < this.items.length - 1;
+    }
+    return false;
+  }
+
+  handleClick(x, y) {
+    const index = this.getRowAt(y);
+    if (index >= 0 && !this.isOverScrollbar(x)) {
+      this.moveTo(index);
+      this.activate();
+    }
+  }
+
+  handleWheel(deltaX, deltaY) {
+    const previous = this.scrollY;
+    this.scrollTo(this.scrollY + deltaY);
+    return this.scrollY !== previous;
+  }
+
+  isOverScrollbar(x) {
+    return this.getMaxScroll() > 0 && x >= this.x + this.width - this.scrollbarWidth - 6;
+  }
+
+  // Drag the scrollbar, or the rows on touch screens (a tap still selects the row)
+  handleMouseDown(x, y) {
+    if (this.isOverScrollbar(x)) {
+      this.drag = { type: 'thumb', startY: y, startScroll: this.scrollY };
+      return true;
+    }
+    if (this.manager && this.manager.touchActive) {
+      this.drag = { type: 'content', startY: y, startScroll: this.scrollY, moved: false };
+      return true;
+    }
+    return false;
+  }
+
+  handleMouseMove(x, y) {
+    if (!this.drag) return;
+    if (this.drag.type === 'thumb') {
+      const thumbHeight = this.getThumbHeight();
+      this.scrollTo(this.drag.startScroll + ((y - this.drag.startY) * this.getMaxScroll()) / (this.height - thumbHeight));
+    } else {
+      this.drag.moved = this.drag.moved || Math.abs(y - this.drag.startY) > 8;
+      if (this.drag.moved) {
+        this.scrollTo(this.drag.startScroll - (y - this.drag.startY));
+      }
+    }
+  }
+
+  handleMouseUp(x, y) {
+    const tap = this.drag && this.drag.type === 'content' && !this.drag.moved;
+    this.drag = null;
+    return !tap;
+  }
+
+  getThumbHeight() {
+    const contentHeight = this.items.length * this.rowHeight;
+    return Math.max(20, (this.height * this.height) / contentHeight);
+  }
+
+  setSize(width, height) {
+    super.setSize(width, height);
+    this.scrollTo(this.scrollY);
+  }
+
+  update(deltaTime) {
+    this.typeAheadTime += deltaTime;
+    if (this.typeAhead && this.typeAheadTime >= 1000) {
+      this.typeAhead = '';
+    }
+    if (this.pressed) {
+      this.pressedTime += deltaTime;
+      if (this.pressedTime >= this.pressedDuration) {
+        this.pressed = false;
+        this.pressedTime = 0;
+      }
+    }
+  }
+
+  draw(ctx, isFocused) {
+    this.drawBase(ctx, isFocused);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(this.x, this.y, this.width, this.height);
+    ctx.clip();
+
+    // Only the rows inside the viewport are drawn
+    const first = Math.floor(this.scrollY / this.rowHeight);
+    const last = Math.min(this.items.length - 1, Math.floor((this.scrollY + this.height) / this.rowHeight));
+    const rowWidth = this.width - (this.getMaxScroll() > 0 ? this.scrollbarWidth + 6 : 0);
+    for (let index = first; index <= last; index++) {
+      const bounds = { x: this.x, y: this.y + index * this.rowHeight - this.scrollY, width: rowWidth, height: this.rowHeight };
+      const state = {
+        index,
+        selected: this.multiSelect ? this.selectedIndices.has(index) : index === this.selectedIndex,
+        cursor: index === this.selectedIndex,
+        focused: isFocused,
+        pressed: this.pressed && index === this.selectedIndex,
+      };
+      if (this.renderRow) {
+        this.renderRow(ctx, this.items[index], bounds, state);
+      } else {
+        this.drawRow(ctx, this.items[index], bounds, state);
+      }
+    }
+
+    this.drawScrollbar(ctx);
+    ctx.restore();
+  }
+
+  // Default row: optional image, label and optional secondary text below it
+  drawRow(ctx, item, bounds, state) {
+    const inset = 2;
+    let fillColor = null;
+    if (state.pressed) {
+      fillColor = this.options.menuButtonClickColor || this.options.controlClickColor;
+    } else if (state.selected && state.focused) {
+      fillColor = this.options.menuButtonActiveColor || this.options.controlColor;
+    } else if (state.selected) {
+      fillColor = this.options.menuButtonColor || this.options.controlColor;
+    }
+    if (fillColor) {
+      ctx.fillStyle = fillColor;
+      DrawRoundedRect(ctx, bounds.x + inset, bounds.y + inset, bounds.width - inset * 2, bounds.height - inset * 2, this.options.borderRadius);
+      ctx.fill();
+    }
+    if (state.cursor && state.focused) {
+      ctx.strokeStyle = this.options.menuButtonFocusBorderColor || this.options.controlFocusBorderColor;
+      ctx.lineWidth = this.options.borderWidth;
+      DrawRoundedRect(ctx, bounds.x + inset, bounds.y + inset, bounds.width - inset * 2, bounds.height - inset * 2, this.options.borderRadius);
+      ctx.stroke();
+    }
+
+    let textX = bounds.x + this.options.padding;
+    if (item.image) {
+      const size = bounds.height - 8;
+      // Skip images that haven't loaded (or failed to); the text keeps its place
+      if (item.image.complete && item.image.naturalWidth > 0) {
+        ctx.drawImage(item.image, textX, bounds.y + 4, size, size);
+      }
+      textX += size + this.options.padding;
+    }
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = this.options.controlTextColor;
+    ctx.font = `${this.options.fontSize}px ${this.options.fontFamily}`;
+    if (item.secondary) {
+      const secondarySize = Math.round(this.options.fontSize * 0.8);
+      this.fillLabel(ctx, item.label, textX, bounds.y + bounds.height * 0.35);
+      ctx.font = `${secondarySize}px ${this.options.fontFamily}`;
+      ctx.globalAlpha = 0.7;
+      this.fillLabel(ctx, item.secondary, textX, bounds.y + bounds.height * 0.72);
+      ctx.globalAlpha = 1;
+    } else {
+      this.fillLabel(ctx, item.label, textX, bounds.y + bounds.height / 2);
+    }
+  }
+
+  drawScrollbar(ctx) {
+    const maxScroll = this.getMaxScroll();
+    if (maxScroll <= 0) return;
+    const thumbHeight = this.getThumbHeight();
+    const x = this.x + this.width - this.scrollbarWidth - 4;
+    const thumbY = this.y + (this.scrollY / maxScroll) * (this.height - thumbHeight);
+    const radius = this.scrollbarWidth / 2;
+    ctx.fillStyle = this.options.scrollbarTrackColor;
+    DrawRoundedRect(ctx, x, this.y + 2, this.scrollbarWidth, this.height - 4, radius);
+    ctx.fill();
+    ctx.fillStyle = this.drag && this.drag.type === 'thumb' ? this.options.controlClickColor : this.options.scrollbarColor;
+    DrawRoundedRect(ctx, x, thumbY, this.scrollbarWidth, thumbHeight, radius);
+    ctx.fill();
+  }
+}
+
+// Dropdown - shows the selected item and opens a popup list above all other controls to change it.
+// Items are strings or { label, value } objects.
+export class Dropdown extends Control {
+  constructor(x, y, items, selectedIndex, label, callback, options = {}) {
+    const width = options.width || 300; // Default width
+    const height = options.height || 50; // Default height
+    super(x, y, width, height, options);
+    this.items = items;
+    this.selectedIndex = selectedIndex;
+    this.label = label;
+    this.callback = callback;
+    this.maxVisibleItems = options.maxVisibleItems || 8; // Rows shown before the popup scrolls
+    this.popup = null; // Open DropdownPopup, if any
+  }
+
+  getItemLabel(item) {
+    return isText(item) ? item : item.label;
+  }
+
+  select(index) {
+    if (index === this.selectedIndex) return;
+    this.selectedIndex = index;
+    if (this.callback) {
+      this.callback(this.selectedIndex, this.items[this.selectedIndex]);
+    }
+  }
+
+  // The popup may also have been closed by the manager (e.g. removeAllControls)
+  isOpen() {
+    return this.popup !== null && this.manager !== null && this.manager.modals.includes(this.popup);
+  }
+
+  open() {
+    if (this.isOpen() || !this.manager || this.items.length === 0) return;
+    this.popup = new DropdownPopup(this.manager, this);
+    this.manager.modals.push(this.popup);
+  }
+
+  close() {
+    if (!this.popup) return;
+    this.manager.closeModal(this.popup);
+    this.popup = null;
+  }
+
+  activate() {
+    this.open();
+  }
+
+  getAccessibleInfo() {
+    const item = this.items[this.selectedIndex];
+    return { role: 'combobox', label: this.label, valueText: item !== undefined ? this.getItemLabel(item) : null, expanded: this.isOpen() };
+  }
+
+  handleClick(x, y) {
+    this.open();
+  }
+
+  handleKeyDown(e) {
+    if (e.key === 'Enter' || e.key === ' ' || (e.key === 'ArrowDown' && e.altKey)) {
+      this.open();
+      e.preventDefault();
+    }
+  }
+
+  draw(ctx, isFocused) {
+    this.drawBase(ctx, isFocused);
+
+    const padding = this.options.padding;
+    const centerY = this.y + this.height / 2;
+    const arrowSize = 10;
+    const arrowX = this.x + this.width - padding - arrowSize;
+
+    ctx.font = `${this.options.fontSize}px ${this.options.fontFamily}`;
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = this.options.controlTextColor;
+
+    // Label on the left, selected item next to the arrow
+    const item = this.items[this.selectedIndex];
+    const text = item !== undefined ? this.getItemLabel(item) : '';
+    if (this.label) {
+      ctx.textAlign = 'left';
+      this.fillLabel(ctx, this.label, this.x + padding, centerY);
+      ctx.textAlign = 'right';
+      this.fillLabel(ctx, text, arrowX - padding, centerY);
+    } else {
+      ctx.textAlign = 'left';
+      this.fillLabel(ctx, text, this.x + padding, centerY);
+    }
+
+    // Arrow points towards where the popup opens
+    const up = this.isOpen() && this.popup.openUpward;
+    ctx.fillStyle = this.options.controlColor;
+    ctx.beginPath();
+    ctx.moveTo(arrowX, centerY + (up ? arrowSize / 3 : -arrowSize / 3));
+    ctx.lineTo(arrowX + arrowSize, centerY + (up ? arrowSize / 3 : -arrowSize / 3));
+    ctx.lineTo(arrowX + arrowSize / 2, centerY + (up ? -arrowSize / 3 : arrowSize / 3));
+    ctx.closePath();
+    ctx.fill();
+  }
+}
+
+// Popup list opened by a Dropdown. It sits on the manager's modal stack, so it is drawn above all
+// controls and receives input until it closes.
+class DropdownPopup {
+  constructor(manager, dropdown) {
+    this.manager = manager;
+    this.dropdown = dropdown;
+
+    const rowHeight = dropdown.options.rowHeight || dropdown.height;
+    const height = Math.min(dropdown.items.length, dropdown.maxVisibleItems) * rowHeight;
+
+    // Open below the dropdown, or above it when there isn't room below
+    const spaceBelow = manager.height - (dropdown.y + dropdown.height);
+    this.openUpward = spaceBelow < height && dropdown.y > spaceBelow;
+    const y = this.openUpward ? Math.max(0, dropdown.y - height) : dropdown.y + dropdown.height;
+
+    const styleOptions = {};
+    for (const name of DROPDOWN_POPUP_OPTIONS) {
+      if (dropdown._rawOptions[name] !== undefined) {
+        styleOptions[name] = dropdown._rawOptions[name];
+      }
+    }
+    this.list = new ListBox(dropdown.x, y, dropdown.items, {
+      ...styleOptions,
+      width: dropdown.width,
+      height: Math.min(height, this.openUpward ? dropdown.y : spaceBelow),
+      rowHeight,
+      selectedIndex: dropdown.selectedIndex,
+      onActivate: (index) => {
+        this.close();
+        dropdown.select(index);
+      },
+    });
+    this.list.pressedDuration = 100;
+    this.list.manager = manager;
+    this.list.applyTheme();
+    this.list.scrollIntoView(dropdown.selectedIndex);
+  }
+
+  close() {
+    this.dropdown.close();
+  }
+
+  containsPoint(x, y) {
+    return this.manager.isPointInBounds(this.list, x, y);
+  }
+
+  // Clicks outside the list close it without changing the selection
+  handleClick(x, y, button) {
+    if (this.containsPoint(x, y)) {
+      this.list.handleClick(x, y, button);
+    } else {
+      this.close();
+    }
+  }
+
+  handleMouseDown(x, y, button) {
+    return this.containsPoint(x, y) && this.list.handleMouseDown(x, y, button);
+  }
+
+  handleMouseMove(x, y) {
+    this.list.handleMouseMove(x, y);
+  }
+
+  handleMouseUp(x, y, button) {
+    return this.list.handleMouseUp(x, y, button);
+  }
+
+  handleWheel(deltaX, deltaY) {
+    return this.list.handleWheel(deltaX, deltaY);
+  }
+
+  isOverButton(x, y) {
+    return this.containsPoint(x, y);
+  }
+
+  getAccessibleInfo() {
+    return { ...this.list.getAccessibleInfo(), label: this.dropdown.label };
+  }
+
+  handleAccessibleAction(item) {
+    this.list.handleAccessibleAction(item);
+  }
+
+  handleKeyDown(e) {
+    if (e.key === 'Escape' || e.key === 'Tab') {
+      this.close();
+      e.preventDefault();
+    } else {
+      this.list.handleKeyDown(e);
+    }
+  }
+
+  handleGamepadButton(buttonIndex) {
+    if (buttonIndex === 1) {
+      // B = close without changing the selection
+      this.close();
+    } else if (buttonIndex === 0) {
+      this.list.activate();
+    } else if (buttonIndex === 12 || buttonIndex === 13) {
+      this.list.step(buttonIndex === 12 ? -1 : 1);
+    } else {
+      this.list.handleGamepadButton(buttonIndex);
+    }
+  }
+
+  update(deltaTime) {
+    this.list.update(deltaTime);
+  }
+
+  draw(ctx) {
+    this.list.draw(ctx, true);
+  }
+}
+
+// KeyBinding Control - shows the key or gamepad button bound to an action. When activated it listens
+// and captures the next key or button press (through ui.setInputCapture) instead of navigating.
+export class KeyBinding extends Control {
+  constructor(x, y, label, binding, callback, options = {}) {
+    const width = options.width || 400; // Default width
+    const height = options.height || 50; // Default height
+    super(x, y, width, height, options);
+    this.label = label;
+    this.binding = KeyBinding.normalizeBinding(binding);
+    this.defaultBinding = options.defaultBinding !== undefined ? KeyBinding.normalizeBinding(options.defaultBinding) : this.binding;
+    this.callback = callback; // Called with (binding, previousBinding) when the binding changes
+    this.device = options.device || 'any'; // Input captured: 'keyboard', 'gamepad' or 'any'
+    this.group = options.group || null; // Bindings only conflict with others in the same group
+    this.onConflict = options.onConflict || 'keep'; // 'keep' both and highlight, 'swap' or 'clear' the other
+    this.cancelKey = options.cancelKey !== undefined ? options.cancelKey : 'Escape'; // null to allow binding Escape
+    this.cancelButton = options.cancelButton !== undefined ? options.cancelButton : 8; // Gamepad Back; null to allow binding it
+    this.listenTimeout = options.listenTimeout !== undefined ? options.listenTimeout : 5000; // 0 listens until input
+    this.listeningText = options.listeningText || null; // null for the ui.pressKey or ui.pressButton string
+    this.emptyText = options.emptyText || null; // null for the ui.unbound string
+    this.bindingWidth = options.bindingWidth || 150; // Width of the binding box on the right
+    this.keyNames = options.keyNames || {}; // Extra or replacement names by key code
+    this.gamepadButtonNames = options.gamepadButtonNames || GAMEPAD_BUTTON_NAMES;
+    this.listening = false;
+    this.listenTime = 0;
+  }
+
+  // Bindings are { type: 'key', code } or { type: 'gamepad', button }; a string is a key code and a number a button
+  static normalizeBinding(binding) {
+    if (binding === null || binding === undefined) {
+      return null;
+    }
+    if (typeof binding === 'string') {
+      return { type: 'key', code: binding };
+    }
+    if (typeof binding === 'number') {
+      return { type: 'gamepad', button: binding };
+    }
+    return { ...binding };
+  }
+
+  static bindingsEqual(a, b) {
+    if (!a || !b || a.type !== b.type) {
+      return false;
+    }
+    return a.type === 'key' ? a.code === b.code : a.button === b.button;
+  }
+
+  // Readable name for a binding, e.g. 'W', 'Left Shift', 'Num 5', 'RB'
+  getBindingName(binding = this.binding) {
+    if (!binding) {
+      return this.emptyText || this.localize('ui.unbound');
+    }
+    if (binding.type === 'gamepad') {
+      return this.gamepadButtonNames[binding.button] || this.localize('ui.gamepadButton', { button: binding.button });
+    }
+
+    const code = binding.code;
+    const names = { ...KEY_CODE_NAMES, ...this.keyNames };
+    if (names[code]) {
+      return names[code];
+    }
+    const match = /^(?:Key|Digit)(.)$/.exec(code);
+    if (match) {
+      return match[1];
+    }
+    if (code.startsWith('Numpad')) {
+      return `Num ${code.slice(6)}`;
+    }
+    // Single characters (from e.key when no code is available) are shown in upper case
+    if (code.length === 1) {
+      return code.toUpperCase();
+    }
+    return code.replace(/([a-z])([A-Z0-9])/g, '$1 $2');
+  }
+
+  // The conflictColor option, or the theme's controlErrorColor
+  getConflictColor() {
+    return this.options.conflictColor || this.options.controlErrorColor;
+  }
+
+  getListeningText() {
+    return this.listeningText || this.localize(this.device === 'gamepad' ? 'ui.pressButton' : 'ui.pressKey');
+  }
+
+  // Other KeyBinding controls in the same group bound to the same key or button
+  getConflicts() {
+    if (!this.manager || !this.binding) {
+      return [];
+    }
+    return this.manager.controls.filter(
+      (control) => control !== this && control instanceof KeyBinding && control.group === this.group && KeyBinding.bindingsEqual(control.binding, this.binding)
+    );
+  }
+
+  hasConflict() {
+    return this.getConflicts().length > 0;
+  }
+
+  setBinding(binding) {
+    const previous = this.binding;
+    this.binding = KeyBinding.normalizeBinding(binding);
+    if (!KeyBinding.bindingsEqual(previous, this.binding) && (previous || this.binding) && this.callback) {
+      this.callback(this.binding, previous);
+    }
+  }
+
+  clear() {
+    this.setBinding(null);
+  }
+
+  resetToDefault() {
+    this.setBinding(this.defaultBinding);
+  }
+
+  startListening() {
+    if (!this.manager) {
+      return;
+    }
+    this.listening = true;
+    this.listenTime = 0;
+    this.manager.setInputCapture(this);
+  }
+
+  stopListening() {
+    this.listening = false;
+    if (this.manager && this.manager.inputCapture === this) {
+      this.manager.releaseInputCapture();
+    }
+  }
+
+  // Called by the manager when listening is interrupted (e.g. a click elsewhere or a screen change)
+  cancelCapture() {
+    this.stopListening();
+  }
+
+  // Bind a captured press and resolve conflicts with the other bindings in the group
+  bind(binding) {
+    const previous = this.binding;
+    this.stopListening();
+    this.setBinding(binding);
+    if (this.onConflict === 'keep') {
+      return;
+    }
+    for (const other of this.getConflicts()) {
+      other.setBinding(this.onConflict === 'swap' ? previous : null);
+    }
+  }
+
+  // Captured key while listening: the cancel key stops listening, key repeats are ignored
+  captureKey(e) {
+    if (e.repeat) {
+      return;
+    }
+    if (this.cancelKey && e.key === this.cancelKey) {
+      this.stopListening();
+      return;
+    }
+    if (this.device !== 'gamepad') {
+      this.bind({ type: 'key', code: e.code || e.key });
+    }
+  }
+
+  // Captured gamepad button while listening: the cancel button stops listening, as does B when only keys
+  // can be bound (B itself can be bound to gamepads)
+  captureGamepadButton(buttonIndex) {
+    if (this.cancelButton !== null && buttonIndex === this.cancelButton) {
+      this.stopListening();
+      return;
+    }
+    if (this.device === 'keyboard') {
+      if (buttonIndex === 1) {
+        this.stopListening();
+      }
+      return;
+    }
+    this.bind({ type: 'gamepad', button: buttonIndex });
+  }
+
+  handleClick(x, y) {
+    this.startListening();
+  }
+
+  handleKeyDown(e) {
+    if (e.key === 'Enter' || e.key === ' ') {
+      this.startListening();
+      e.preventDefault();
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+      this.clear();
+      e.preventDefault();
+    } else if (e.key === 'Home') {
+      this.resetToDefault();
+      e.preventDefault();
+    }
+  }
+
+  // Gamepad A listens, X clears, Y resets to the default
+  activate() {
+    this.startListening();
+  }
+
+  // Read as "Jump: Space"; activating it listens for the new key like Enter does
+  getAccessibleInfo() {
+    const binding = this.listening ? this.getListeningText() : this.getBindingName();
+    return { role: 'button', label: `${this.label}: ${binding}` };
+  }
+
+  handleGamepadButton(buttonIndex) {
+    if (buttonIndex === 2) {
+      this.clear();
+    } else if (buttonIndex === 3) {
+      this.resetToDefault();
+    }
+  }
+
+  update(deltaTime) {
+    if (this.listening) {
+      this.listenTime += deltaTime;
+      if (this.listenTimeout > 0 && this.listenTime >= this.listenTimeout) {
+        this.stopListening();
+      }
+    }
+  }
+
+  draw(ctx, isFocused) {
+    this.drawBase(ctx, isFocused);
+
+    // Label
+    ctx.font = this.options.font;
+    ctx.fillStyle = this.options.textColor;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    this.fillLabel(ctx, this.label, this.x + this.options.padding, this.y + this.height / 2);
+
+    // Binding box - outlined in controlColor while listening, pulsing to show it is waiting
+    const boxWidth = Math.min(this.bindingWidth, this.width - this.options.padding * 2);
+    const boxHeight = this.height - this.options.padding;
+    const boxX = this.x + this.width - boxWidth - this.options.padding / 2;
+    const boxY = this.y + this.options.padding / 2;
+    const conflict = this.hasConflict();
+
+    ctx.save();
+    if (this.listening) {
+      ctx.globalAlpha = 0.6 + 0.4 * Math.abs(Math.sin((this.listenTime / 1000) * Math.PI));
+    }
+    ctx.beginPath();
+    DrawRoundedRect(ctx, boxX, boxY, boxWidth, boxHeight, Math.min(this.options.borderRadius, boxHeight / 2));
+    ctx.strokeStyle = this.listening ? this.options.controlColor : conflict ? this.getConflictColor() : this.options.controlBorderColor;
+    ctx.lineWidth = this.listening ? 2 : 1;
+    ctx.stroke();
+
+    ctx.fillStyle = conflict && !this.listening ? this.getConflictColor() : this.options.controlTextColor;
+    ctx.textAlign = 'center';
+    this.fillLabel(ctx, this.listening ? this.getListeningText() : this.getBindingName(), boxX + boxWidth / 2, boxY + boxHeight / 2);
+    ctx.restore();
+  }
+}
+
+// Container - groups child controls positioned relative to the container.
+// Children are added to the manager's controls list right after the container, so focus moves
+// through them in order; moving, hiding or removing the container moves, hides or removes them.
+export class Container extends Control {
+  constructor(x, y, width, height, options = {}) {
+    super(x, y, width, height, options);
+    this.children = [];
+    this.clipChildren = options.clipChildren === true; // Clip child drawing and hit testing to the bounds
+    this.focusable = false;
+  }
+
+  // Add a child control; its x/y are relative to the container's top-left corner
+  addChild(child) {
+    child.parent = this;
+    child.localX = child.x;
+    child.localY = child.y;
+    this.children.push(child);
+    this.layoutChildren();
+
+    if (this.manager) {
+      this.manager.registerControl(child, this.getInsertIndex());
+    }
+    return child;
+  }
+
+  removeChild(child) {
+    const index = this.children.indexOf(child);
+    if (index > -1) {
+      this.children.splice(index, 1);
+      if (this.manager) {
+        this.manager.unregisterControl(child);
+      }
+      child.parent = null;
+      child.x = child.localX;
+      child.y = child.localY;
+      this.layoutChildren();
+    }
+  }
+
+  // Index in manager.controls just after this container's last descendant
+  getInsertIndex() {
+    const controls = this.manager.controls;
+    let index = controls.indexOf(this) + 1;
+    while (index < controls.length && this.isAncestorOf(controls[index])) {
+      index++;
+    }
+    return index;
+  }
+
+  isAncestorOf(control) {
+    for (let parent = control.parent; parent; parent = parent.parent) {
+      if (parent === this) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  setPosition(x, y) {
+    this.x = x;
+    this.y = y;
+    this.layoutChildren();
+  }
+
+  // Place children at their offsets from the container (nested containers place their own children)
+  layoutChildren() {
+    for (const child of this.children) {
+      child.x = this.x + child.localX;
+      child.y = this.y + child.localY;
+      if (child.layoutChildren) {
+        child.layoutChildren();
+      }
+    }
+  }
+
+  update(deltaTime) {
+    // Keep children in place if x/y were changed directly
+    this.layoutChildren();
+  }
+
+  // Containers are not interactive themselves
+  containsPoint(x, y) {
+    return false;
+  }
+
+  draw(ctx, isFocused) {
+    // Plain containers have no background
+  }
+
+  drawChildren(ctx) {
+    const focused = this.manager ? this.manager.getFocusedControl() : null;
+
+    ctx.save();
+    if (this.clipChildren) {
+      ctx.beginPath();
+      ctx.rect(this.x, this.y, this.width, this.height);
+      ctx.clip();
+    }
+
+    for (const child of this.children) {
+      if (!child.visible) {
+        continue;
+      }
+      drawWithEffects(ctx, child, () => {
+        child.draw(ctx, child === focused);
+        if (child.drawChildren) {
+          child.drawChildren(ctx);
+        }
+      });
+    }
+
+    ctx.restore();
+  }
+}
+
+// ScrollView - clips its children to a viewport and scrolls them with the mouse wheel, touch drag,
+// the gamepad right stick and keyboard/gamepad focus changes
+export class ScrollView extends Container {
+  constructor(x, y, width, height, options = {}) {
+    super(x, y, width, height, { ...options, clipChildren: true });
+    this.scrollX = 0;
+    this.scrollY = 0;
+    this.horizontal = options.horizontal === true; // Also scroll sideways when the content is wider
+    this.wheelSpeed = options.wheelSpeed || 1; // Multiplier for wheel deltas
+    this.stickSpeed = options.stickSpeed || 800; // Pixels per second at full right-stick deflection
+    this.friction = options.friction !== undefined ? options.friction : 0.95; // Momentum kept every 16 ms
+    this.showScrollbar = options.showScrollbar !== false;
+    this.scrollbarWidth = options.scrollbarWidth || 8;
+    this.focusMargin = options.focusMargin !== undefined ? options.focusMargin : 10; // Space kept around a focused child
+
+    this.velocityX = 0; // Momentum after a touch drag, in pixels per millisecond
+    this.velocityY = 0;
+    this.drag = null; // Touch drag of the content or drag of the scrollbar thumb
+    this.lastFocused = null;
+  }
+
+  // Size of the content: the furthest right and bottom edges of the children
+  getContentSize() {
+    let width = 0;
+    let height = 0;
+    for (const child of this.children) {
+      width = Math.max(width, child.localX + child.width);
+      height = Math.max(height, child.localY + child.height);
+    }
+    return { width, height };
+  }
+
+  getMaxScroll() {
+    const content = this.getContentSize();
+    return {
+      x: this.horizontal ? Math.max(0, content.width - this.width) : 0,
+      y: Math.max(0, content.height - this.height),
+    };
+  }
+
+  scrollTo(x, y) {
+    const max = this.getMaxScroll();
+    this.scrollX = Math.max(0, Math.min(max.x, x));
+    this.scrollY = Math.max(0, Math.min(max.y, y));
+    this.layoutChildren();
+  }
+
+  // Scroll by an amount; returns true if the view moved
+  scrollBy(dx, dy) {
+    const oldX = this.scrollX;
+    const oldY = this.scrollY;
+    this.scrollTo(this.scrollX + dx, this.scrollY + dy);
+    return this.scrollX !== oldX || this.scrollY !== oldY;
+  }
+
+  // Scroll just enough to show a descendant control
+  scrollIntoView(control) {
+    const margin = this.focusMargin;
+    const delta = (start, size, viewSize) => {
+      if (start < margin || size > viewSize - margin * 2) {
+        return start - margin;
+      }
+      if (start + size > viewSize - margin) {
+        return start + size - (viewSize - margin);
+      }
+      return 0;
+    };
+    const dx = this.horizontal ? delta(control.x - this.x, control.width, this.width) : 0;
+    this.scrollBy(dx, delta(control.y - this.y, control.height, this.height));
+  }
+
+  // Children are placed at their offsets within the content, moved by the scroll position
+  layoutChildren() {
+    for (const child of this.children) {
+      child.x = this.x + child.localX - this.scrollX;
+      child.y = this.y + child.localY - this.scrollY;
+      if (child.layoutChildren) {
+        child.layoutChildren();
+      }
+    }
+  }
+
+  // Mouse wheel (called by the manager for the view under the pointer); returns true if it scrolled
+  handleWheel(deltaX, deltaY) {
+    this.velocityX = 0;
+    this.velocityY = 0;
+    this.keepFocusedScroll();
+    return this.scrollBy(deltaX * this.wheelSpeed, deltaY * this.wheelSpeed);
+  }
+
+  // Vertical scrollbar thumb, or null when everything fits
+  getScrollbarThumb() {
+    const contentHeight = this.getContentSize().height;
+    if (!this.showScrollbar || contentHeight <= this.height) return null;
+    const height = Math.max(20, (this.height * this.height) / contentHeight);
+    const y = this.y + (this.scrollY / (contentHeight - this.height)) * (this.height - height);
+    return { x: this.x + this.width - this.scrollbarWidth - 2, y, width: this.scrollbarWidth, height };
+  }
+
+  // Presses on the scrollbar drag the thumb; touch presses anywhere else drag the content
+  handleMouseDown(x, y) {
+    this.velocityX = 0;
+    this.velocityY = 0;
+    this.keepFocusedScroll();
+
+    const thumb = this.getScrollbarThumb();
+    if (thumb && x >= thumb.x - 4 && y >= this.y && y <= this.y + this.height) {
+      // Clicking the track outside the thumb jumps there first
+      if (y < thumb.y || y > thumb.y + thumb.height) {
+        this.scrollTo(this.scrollX, this.scrollY + ((y - (thumb.y + thumb.height / 2)) * this.getContentSize().height) / this.height);
+      }
+      this.drag = { type: 'thumb', startY: y, startScroll: this.scrollY };
+      return true;
+    }
+
+    if (this.manager && this.manager.touchActive) {
+      this.drag = { type: 'content', startX: x, startY: y, lastX: x, lastY: y, movedX: 0, movedY: 0, moved: false };
+      return true;
+    }
+    return false;
+  }
+
+  handleMouseMove(x, y) {
+    if (!this.drag) return;
+
+    if (this.drag.type === 'thumb') {
+      const thumb = this.getScrollbarThumb();
+      if (thumb) {
+        const scrollPerPixel = this.getMaxScroll().y / (this.height - thumb.height);
+        this.scrollTo(this.scrollX, this.drag.startScroll + (y - this.drag.startY) * scrollPerPixel);
+      }
+      return;
+    }
+
+    // Small movements still count as a tap on the child under the finger
+    const drag = this.drag;
+    if (!drag.moved && Math.hypot(x - drag.startX, y - drag.startY) > 8) {
+      drag.moved = true;
+    }
+    if (drag.moved) {
+      const dx = this.horizontal ? drag.lastX - x : 0;
+      const dy = drag.lastY - y;
+      this.scrollBy(dx, dy);
+      drag.movedX += dx;
+      drag.movedY += dy;
+    }
+    drag.lastX = x;
+    drag.lastY = y;
+  }
+
+  // Returns false after a tap so the manager passes the click on to the child under the finger
+  handleMouseUp(x, y) {
+    const tap = this.drag && this.drag.type === 'content' && !this.drag.moved;
+    this.drag = null;
+    return !tap;
+  }
+
+  // The user is scrolling: don't jump back to a focus change they haven't navigated with yet
+  keepFocusedScroll() {
+    this.lastFocused = this.manager ? this.manager.getFocusedControl() : null;
+  }
+
+  update(deltaTime) {
+    if (this.drag && this.drag.type === 'content') {
+      // Track the drag speed so the content keeps moving after release
+      if (deltaTime > 0) {
+        this.velocityX = this.velocityX * 0.5 + (this.drag.movedX / deltaTime) * 0.5;
+        this.velocityY = this.velocityY * 0.5 + (this.drag.movedY / deltaTime) * 0.5;
+      }
+      this.drag.movedX = 0;
+      this.drag.movedY = 0;
+    } else if (this.velocityX || this.velocityY) {
+      if (!this.scrollBy(this.velocityX * deltaTime, this.velocityY * deltaTime)) {
+        this.velocityX = 0;
+        this.velocityY = 0;
+      }
+      const decay = Math.pow(this.friction, deltaTime / 16);
+      this.velocityX = Math.abs(this.velocityX * decay) < 0.01 ? 0 : this.velocityX * decay;
+      this.velocityY = Math.abs(this.velocityY * decay) < 0.01 ? 0 : this.velocityY * decay;
+    }
+
+    // Keep a newly focused child in view
+    const focused = this.manager ? this.manager.getFocusedControl() : null;
+    if (focused !== this.lastFocused) {
+      this.lastFocused = focused;
+      if (focused && this.isAncestorOf(focused) && !this.drag) {
+        this.scrollIntoView(focused);
+      }
+    }
+
+    // Re-clamp in case children were added, removed or resized
+    this.scrollTo(this.scrollX, this.scrollY);
+  }
+
+  drawChildren(ctx) {
+    super.drawChildren(ctx);
+    this.drawScrollbars(ctx);
+  }
+
+  drawScrollbars(ctx) {
+    if (!this.showScrollbar) return;
+    const content = this.getContentSize();
+    const size = this.scrollbarWidth;
+    const radius = size / 2;
+
+    const thumb = this.getScrollbarThumb();
+    if (thumb) {
+      ctx.fillStyle = this.options.scrollbarTrackColor;
+      DrawRoundedRect(ctx, thumb.x, this.y + 2, size, this.height - 4, radius);
+      ctx.fill();
+      ctx.fillStyle = this.drag && this.drag.type === 'thumb' ? this.options.controlClickColor : this.options.scrollbarColor;
+      DrawRoundedRect(ctx, thumb.x, thumb.y, size, thumb.height, radius);
+      ctx.fill();
+    }
+
+    if (this.horizontal && content.width > this.width) {
+      const width = Math.max(20, (this.width * this.width) / content.width);
+      const x = this.x + (this.scrollX / (content.width - this.width)) * (this.width - width);
+      const y = this.y + this.height - size - 2;
+      ctx.fillStyle = this.options.scrollbarTrackColor;
+      DrawRoundedRect(ctx, this.x + 2, y, this.width - 4, size, radius);
+      ctx.fill();
+      ctx.fillStyle = this.options.scrollbarColor;
+      DrawRoundedRect(ctx, x, y, width, size, radius);
+      ctx.fill();
+    }
+  }
+}
+
+// Panel Control - for grouping other controls with a background
+export class Panel extends Container {
+  constructor(x, y, options = {}) {
+    const width = options.width || 500; // Default width
+    const height = options.height || 500; // Default height
+    // If manager is available, get theme values
+    let themePanelSurfaceColor, themePanelBorderColor;
+    if (options.manager && options.manager.theme) {
+      themePanelSurfaceColor = options.manager.theme.panelSurfaceColor;
+      themePanelBorderColor = options.manager.theme.panelBorderColor;
+    }
+    super(x, y, width, height, {
+      ...options,
+      panelSurfaceColor: options.panelSurfaceColor || themePanelSurfaceColor,
+      panelBorderColor: options.panelBorderColor || themePanelBorderColor,
+    });
+    this.clipChildren = options.clipChildren !== false;
+  }
+
+  draw(ctx, isFocused) {
+    const radius = this.options.borderRadius || 0;
+
+    // Background - use backgroundColor if provided, otherwise fall back to panelSurfaceColor, then controlSurfaceColor
+    ctx.fillStyle = this.options.backgroundColor || this.options.panelSurfaceColor || this.options.controlSurfaceColor;
+    if (radius > 0) {
+      DrawRoundedRect(ctx, this.x, this.y, this.width, this.height, radius);
+      ctx.fill();
+    } else {
+      ctx.fillRect(this.x, this.y, this.width, this.height);
+    }
+
+    // Optional border - use borderColor if provided, otherwise fall back to panelBorderColor, then controlBorderColor
+    if (this.options.borderWidth > 0) {
+      ctx.strokeStyle = this.options.borderColor || this.options.panelBorderColor || this.options.controlBorderColor;
+      ctx.lineWidth = this.options.borderWidth;
+      if (radius > 0) {
+        DrawRoundedRect(ctx, this.x, this.y, this.width, this.height, radius);
+        ctx.stroke();
+      } else {
+        ctx.strokeRect(this.x, this.y, this.width, this.height);
+      }
+    }
+  }
+}
+
+// Tabs - a tab bar above switchable pages. Each page is a Container whose controls keep their state while
+// the page is hidden; LB/RB on a gamepad and Ctrl+Tab switch pages and move focus into the new page
+export class Tabs extends Container {
+  constructor(x, y, labels = [], options = {}) {
+    const width = options.width || 600; // Default width
+    const height = options.height || 400; // Default height, including the tab bar
+    super(x, y, width, height, options);
+    this.focusable = options.focusable !== false; // The tab bar takes focus; arrow keys choose a tab
+    this.tabHeight = options.tabHeight || 50;
+    this.tabWidth = options.tabWidth || 0; // Fixed tab width; 0 shares the bar width between the tabs
+    this.onChange = options.onChange || null; // Called with (index, label) when the active tab changes
+    this.labels = [];
+    this.pages = [];
+    this.activeIndex = -1;
+    this.lastFocused = [];
+
+    const selectedIndex = Math.min(Math.max(0, options.selectedIndex || 0), labels.length - 1);
+    labels.forEach((label, i) => {
+      this.addTab(label).visible = i === selectedIndex;
+    });
+    this.activeIndex = selectedIndex;
+  }
+
+  // Add a tab and return its page; add the page's controls with page.addChild (positions are relative to the page)
+  addTab(label) {
+    const page = new Container(0, this.tabHeight, this.width, this.height - this.tabHeight, { clipChildren: true });
+    page.visible = this.pages.length === 0;
+    this.labels.push(label);
+    this.pages.push(page);
+    this.lastFocused.push(null);
+    this.addChild(page);
+    if (this.activeIndex < 0) {
+      this.activeIndex = 0;
+    }
+    return page;
+  }
+
+  getPage(index) {
+    return this.pages[index] || null;
+  }
+
+  getActivePage() {
+    return this.getPage(this.activeIndex);
+  }
+
+  // Show a page. If focus was inside the page being hidden it moves into the new page.
+  selectTab(index) {
+    if (index < 0 || index >= this.pages.length || index === this.activeIndex) {
+      return;
+    }
+    const previous = this.getActivePage();
+    const focused = this.manager ? this.manager.getFocusedControl() : null;
+    const focusWasInPage = focused && previous && previous.isAncestorOf(focused);
+
+    this.activeIndex = index;
+    this.pages[index].setVisible(true);
+    if (previous) {
+      previous.setVisible(false);
+    }
+    if (focusWasInPage) {
+      this.focusActivePage();
+    }
+    if (this.onChange) {
+      this.onChange(index, this.labels[index]);
+    }
+  }
+
+  // Move to the previous (-1) or next (1) tab, wrapping around, and focus its page (LB/RB and Ctrl+Tab)
+  switchTab(step) {
+    const count = this.pages.length;
+    if (count === 0) {
+      return;
+    }
+    this.selectTab((this.activeIndex + step + count) % count);
+    this.focusActivePage();
+  }
+
+  // Focus the control last focused on the active page, or its first focusable control, or else the tab bar
+  focusActivePage() {
+    const page = this.getActivePage();
+    if (!page || !this.manager) {
+      return false;
+    }
+    const manager = this.manager;
+    const remembered = this.lastFocused[this.activeIndex];
+    if (remembered && page.isAncestorOf(remembered) && manager.controls.includes(remembered) && manager.isFocusable(remembered)) {
+      return manager.focusControl(remembered);
+    }
+    const first = manager.controls.find((control) => page.isAncestorOf(control) && manager.isFocusable(control));
+    return manager.focusControl(first || this);
+  }
+
+  getTabBounds(index) {
+    const width = this.tabWidth || this.width / Math.max(1, this.pages.length);
+    return { x: this.x + index * width, y: this.y, width, height: this.tabHeight };
+  }
+
+  getTabAt(x, y) {
+    for (let i = 0; i < this.pages.length; i++) {
+      const bounds = this.getTabBounds(i);
+      if (x >= bounds.x && x <= bounds.x + bounds.width && y >= bounds.y && y <= bounds.y + bounds.height) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  // Only the tab bar is interactive; the pages hold the other controls
+  containsPoint(x, y) {
+    return x >= this.x && x <= this.x + this.width && y >= this.y && y <= this.y + this.tabHeight;
+  }
+
+  // Spatial navigation treats the tab bar as the control, so down enters the page and up returns to the bar
+  getNavigationBounds() {
+    return { x: this.x, y: this.y, width: this.width, height: this.tabHeight };
+  }
+
+  isOverInteractiveArea(x, y) {
+    return this.getTabAt(x, y) >= 0;
+  }
+
+  setSize(width, height) {
+    super.setSize(width, height);
+    for (const page of this.pages) {
+      page.setSize(width, height - this.tabHeight);
+    }
+  }
+
+  handleClick(x, y) {
+    const index = this.getTabAt(x, y);
+    if (index >= 0) {
+      this.selectTab(index);
+    }
+  }
+
+  handleKeyDown(e) {
+    if (e.key === 'ArrowLeft') {
+      this.handleGamepadLeft();
+      e.preventDefault();
+    } else if (e.key === 'ArrowRight') {
+      this.handleGamepadRight();
+      e.preventDefault();
+    } else if (e.key === 'ArrowDown' || e.key === 'Enter' || e.key === ' ') {
+      this.focusActivePage();
+      e.preventDefault();
+    }
+  }
+
+  handleGamepadLeft() {
+    const count = this.pages.length;
+    this.selectTab((this.activeIndex - 1 + count) % count);
+  }
+
+  handleGamepadRight() {
+    this.selectTab((this.activeIndex + 1) % this.pages.length);
+  }
+
+  // Left/right choose a tab; at the first/last tab focus leaves the tab bar
+  handlesDirection(direction) {
+    if (direction === 'left') {
+      return this.activeIndex > 0;
+    }
+    if (direction === 'right') {
+      return this.activeIndex < this.pages.length - 1;
+    }
+    return false;
+  }
+
+  // Gamepad A on the tab bar enters the page
+  activate() {
+    this.focusActivePage();
+  }
+
+  getAccessibleInfo() {
+    return {
+      role: 'tablist',
+      items: this.labels.map((label, i) => ({ role: 'tab', label, selected: i === this.activeIndex })),
+      activeItem: this.activeIndex,
+    };
+  }
+
+  handleAccessibleAction(item) {
+    if (item !== undefined) {
+      this.selectTab(item);
+    }
+  }
+
+  update(deltaTime) {
+    super.update(deltaTime);
+
+    // Remember where focus was on the active page so switching back restores it
+    const focused = this.manager ? this.manager.getFocusedControl() : null;
+    const page = this.getActivePage();
+    if (focused && page && page.isAncestorOf(focused)) {
+      this.lastFocused[this.activeIndex] = focused;
+    }
+  }
+
+  draw(ctx, isFocused) {
+    const radius = this.options.borderRadius;
+    const pageY = this.y + this.tabHeight;
+    const pageHeight = this.height - this.tabHeight;
+
+    // Page background - use backgroundColor if provided, otherwise panelSurfaceColor
+    ctx.fillStyle = this.options.backgroundColor || this.options.panelSurfaceColor || this.options.controlSurfaceColor;
+    ctx.fillRect(this.x, pageY, this.width, pageHeight);
+    ctx.strokeStyle = this.options.controlBorderColor;
+    ctx.lineWidth = this.options.borderWidth;
+    ctx.strokeRect(this.x, pageY, this.width, pageHeight);
+
+    for (let i = 0; i < this.pages.length; i++) {
+      const bounds = this.getTabBounds(i);
+      const isActive = i === this.activeIndex;
+
+      ctx.fillStyle = isActive ? this.options.controlColor : this.options.controlSurfaceColor;
+      if (radius > 0) {
+        DrawRoundedRect(ctx, bounds.x, bounds.y, bounds.width, bounds.height, radius);
+        ctx.fill();
+      } else {
+        ctx.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+      }
+
+      ctx.strokeStyle = isFocused && isActive ? this.options.controlFocusBorderColor : this.options.controlBorderColor;
+      ctx.lineWidth = this.options.borderWidth;
+      if (radius > 0) {
+        DrawRoundedRect(ctx, bounds.x, bounds.y, bounds.width, bounds.height, radius);
+        ctx.stroke();
+      } else {
+        ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+      }
+
+      ctx.font = this.options.font;
+      ctx.fillStyle = this.options.controlTextColor;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      this.fillLabel(ctx, this.labels[i], bounds.x + bounds.width / 2, bounds.y + bounds.height / 2);
+    }
+  }
+}
+
+// Base class for layout containers (VStack, HStack, Grid). Children are sized and placed by arrange(),
+// which runs again when children are added, removed, hidden or shown, or when the canvas is resized.
+// width/height may be a number, 'auto' (fit the children) or a percentage string of the parent
+// container's inner size (or of the canvas for top-level layouts).
+class LayoutContainer extends Container {
+  constructor(x, y, options = {}) {
+    super(x, y, 0, 0, options);
+    this.layoutWidth = options.width !== undefined ? options.width : 'auto';
+    this.layoutHeight = options.height !== undefined ? options.height : 'auto';
+    this.spacing = options.spacing !== undefined ? options.spacing : options.gap || 0;
+    this.layoutPadding = options.padding || 0; // Space between the container edge and its children
+    this.align = options.align || 'start';
+    this.layoutDirty = true;
+  }
+
+  // layoutOptions (per child, all optional):
+  //   align: 'start' | 'center' | 'end' | 'stretch' - overrides the container's align for this child
+  //   grow: number - share of the leftover space along the stack direction (stacks only)
+  addChild(child, layoutOptions = {}) {
+    child.layoutOptions = layoutOptions;
+    // Natural size to start from each time the layout stretches or grows the child
+    child.layoutBaseSize =
+      child instanceof LayoutContainer ? { width: child.layoutWidth, height: child.layoutHeight } : { width: child.width, height: child.height };
+    this.invalidateLayout();
+    return super.addChild(child);
+  }
 
-// Slider Control
-export class Slider extends Control {
-  constructor(x, y, min, max, value, step, label, callback, options = {}) {
-    const width = options.width || 300; // Default width
-    const height = options.height || 80; // Default height
-    super(x, y, width, height, options);
-    this.min = min;
-    this.max = max;
-    this.value = value;
-    this.step = step;
-    this.label = label;
-    this.callback = callback;
-    this.dragging = false;
-    this.zeroText = options.zeroText; // Optional text to display when value is 0
+  removeChild(child) {
+    this.invalidateLayout();
+    super.removeChild(child);
   }
 
-  isOverInteractiveArea(x, y) {
-    // Check if over the slider track or knob area
-    const trackY = this.y + this.height / 2;
-    const trackX = this.x + this.options.padding;
-    const trackWidth = this.width - this.options.padding * 2;
-    const trackHeight = 4;
+  // Mark the layout as needing to run again (auto-sized parents need to re-measure too)
+  invalidateLayout() {
+    this.layoutDirty = true;
+    if (this.parent && this.parent.invalidateLayout) {
+      this.parent.invalidateLayout();
+    }
+  }
 
-    // Calculate knob position
-    const percent = (this.value - this.min) / (this.max - this.min);
-    const knobSize = 20;
-    const knobX = trackX + trackWidth * percent - knobSize / 2;
-    const knobY = trackY - knobSize / 2;
+  setSize(width, height) {
+    this.layoutWidth = width;
+    this.layoutHeight = height;
+    this.invalidateLayout();
+    this.layoutChildren();
+  }
 
-    // Check if over knob (with some extra margin for easier interaction)
-    const knobMargin = 5;
-    if (x >= knobX - knobMargin && x <= knobX + knobSize + knobMargin && y >= knobY - knobMargin && y <= knobY + knobSize + knobMargin) {
-      return true;
-    }
+  handleResize(width, height) {
+    this.invalidateLayout();
+  }
 
-    // Check if over track
-    if (x >= trackX && x <= trackX + trackWidth && y >= trackY - trackHeight * 2 && y <= trackY + trackHeight * 2) {
-      return true;
+  layoutChildren() {
+    if (this.layoutDirty) {
+      this.layoutDirty = false;
+      this.arrange();
     }
+    super.layoutChildren();
+  }
 
-    return false;
+  update(deltaTime) {
+    // Positions still follow x/y every frame; sizes are only recalculated when invalidated
+    this.layoutChildren();
   }
 
-  handleClick(x, y) {
-    this.updateValueFromX(x);
+  getLayoutChildren() {
+    return this.children.filter((child) => child.visible);
   }
 
-  handleKeyDown(e) {
-    if (e.key === 'ArrowLeft') {
-      this.value = Math.max(this.min, this.value - this.step);
-      if (this.callback) {
-        this.callback(this.value);
-      }
-      e.preventDefault();
-    } else if (e.key === 'ArrowRight') {
-      this.value = Math.min(this.max, this.value + this.step);
-      if (this.callback) {
-        this.callback(this.value);
-      }
-      e.preventDefault();
+  // Resolve a width/height setting against the available size; null means 'auto'
+  resolveLength(value, available) {
+    if (typeof value === 'number') {
+      return value;
     }
+    if (typeof value === 'string' && value.endsWith('%')) {
+      return (available * parseFloat(value)) / 100;
+    }
+    return null;
   }
 
-  handleGamepadAxis(direction) {
-    if (direction < 0) {
-      this.value = Math.max(this.min, this.value - this.step);
-    } else {
-      this.value = Math.min(this.max, this.value + this.step);
+  // Size available from the parent container, or the canvas for top-level layouts
+  getAvailableSize() {
+    if (this.parent) {
+      const padding = this.parent.layoutPadding || 0;
+      return { width: this.parent.width - padding * 2, height: this.parent.height - padding * 2 };
     }
-    if (this.callback) {
-      this.callback(this.value);
+    if (this.manager) {
+      return { width: this.manager.width, height: this.manager.height };
     }
+    return { width: 0, height: 0 };
   }
 
-  updateValueFromX(x) {
-    const sliderX = this.x + this.options.padding;
-    const sliderWidth = this.width - this.options.padding * 2;
-    const percent = Math.max(0, Math.min(1, (x - sliderX) / sliderWidth));
-
-    let newValue = this.min + percent * (this.max - this.min);
-    newValue = Math.round(newValue / this.step) * this.step;
-    newValue = Math.max(this.min, Math.min(this.max, newValue));
+  usesRelativeSize() {
+    return typeof this.layoutWidth === 'string' || typeof this.layoutHeight === 'string';
+  }
 
-    if (newValue !== this.value) {
-      this.value = newValue;
-      if (this.callback) {
-        this.callback(this.value);
+  // Reset stretched/grown children to their natural size, then make sure nested layouts have their
+  // size before they are measured
+  measureChildren(children, isResizable) {
+    for (const child of children) {
+      if (isResizable(child)) {
+        this.resizeChild(child, child.layoutBaseSize.width, child.layoutBaseSize.height);
+      } else if (child.layoutDirty || (child.usesRelativeSize && child.usesRelativeSize())) {
+        child.layoutDirty = true;
+        child.layoutChildren();
       }
     }
   }
 
-  draw(ctx, isFocused) {
-    this.drawBase(ctx, isFocused);
+  // Resize a child during arrange() without invalidating this layout again
+  resizeChild(child, width, height) {
+    if (child instanceof LayoutContainer) {
+      child.layoutWidth = width;
+      child.layoutHeight = height;
+      child.layoutDirty = true;
+      child.layoutChildren();
+    } else {
+      child.setSize(width, height);
+    }
+  }
 
-    // Draw label
-    ctx.font = this.options.font;
-    ctx.fillStyle = this.options.textColor;
-    ctx.textAlign = 'left';
-    ctx.textBaseline = 'top';
-    ctx.fillText(this.label, this.x + this.options.padding, this.y + this.options.padding);
+  // Offset of a child inside a slot for align 'start', 'center' or 'end' ('stretch' is handled by the caller)
+  alignOffset(align, slotSize, childSize) {
+    if (align === 'center') {
+      return (slotSize - childSize) / 2;
+    }
+    if (align === 'end') {
+      return slotSize - childSize;
+    }
+    return 0;
+  }
 
-    // Draw slider track
-    const trackY = this.y + this.height / 2;
-    const trackX = this.x + this.options.padding;
-    const trackWidth = this.width - this.options.padding * 2;
-    const trackHeight = 4;
-    const trackRadius = this.options.borderRadius > 0 ? Math.min(trackHeight / 2, this.options.borderRadius / 2) : trackHeight / 2;
+  arrange() {}
+}
 
-    ctx.fillStyle = '#666666';
-    DrawRoundedRect(ctx, trackX, trackY - trackHeight / 2, trackWidth, trackHeight, trackRadius);
-    ctx.fill();
+// Stack layout - places children one after another vertically or horizontally
+class StackLayout extends LayoutContainer {
+  constructor(x, y, direction, options = {}) {
+    super(x, y, options);
+    this.direction = direction; // 'vertical' or 'horizontal'
+    this.justify = options.justify || 'start'; // 'start', 'center', 'end' or 'space-between'
+  }
 
-    // Draw filled portion - use controlColor for active part
-    const percent = (this.value - this.min) / (this.max - this.min);
-    ctx.fillStyle = this.options.controlColor;
-    DrawRoundedRect(ctx, trackX, trackY - trackHeight / 2, trackWidth * percent, trackHeight, trackRadius);
-    ctx.fill();
+  arrange() {
+    const children = this.getLayoutChildren();
+    const vertical = this.direction === 'vertical';
+    const mainKey = vertical ? 'height' : 'width';
+    const crossKey = vertical ? 'width' : 'height';
+    const padding = this.layoutPadding;
+    const available = this.getAvailableSize();
+
+    this.measureChildren(children, (child) => child.layoutOptions.grow > 0 || (child.layoutOptions.align || this.align) === 'stretch');
+
+    // Content size along and across the stack direction
+    let contentMain = children.reduce((sum, child) => sum + child[mainKey], 0) + Math.max(0, children.length - 1) * this.spacing;
+    let contentCross = children.reduce((max, child) => Math.max(max, child[crossKey]), 0);
+
+    const fixedWidth = this.resolveLength(this.layoutWidth, available.width);
+    const fixedHeight = this.resolveLength(this.layoutHeight, available.height);
+    const fixedMain = vertical ? fixedHeight : fixedWidth;
+    const fixedCross = vertical ? fixedWidth : fixedHeight;
+
+    const innerMain = fixedMain !== null ? fixedMain - padding * 2 : contentMain;
+    const innerCross = fixedCross !== null ? fixedCross - padding * 2 : contentCross;
+
+    // Share leftover space between children that grow
+    let free = innerMain - contentMain;
+    const totalGrow = children.reduce((sum, child) => sum + (child.layoutOptions.grow || 0), 0);
+    if (free > 0 && totalGrow > 0) {
+      for (const child of children) {
+        const grow = child.layoutOptions.grow || 0;
+        if (grow > 0) {
+          const main = child[mainKey] + (free * grow) / totalGrow;
+          if (vertical) {
+            this.resizeChild(child, child.width, main);
+          } else {
+            this.resizeChild(child, main, child.height);
+          }
+        }
+      }
+      free = 0;
+    }
 
-    // Draw slider knob - use controlColor to match the filled track
-    const knobSize = 20;
-    // Calculate knob position based on value percentage
-    const knobCenterX = trackX + trackWidth * percent;
-    const knobLeftEdge = knobCenterX - knobSize / 2;
-    // Constrain knob position to stay within control borders
-    const minKnobX = trackX;
-    const maxKnobX = trackX + trackWidth - knobSize;
-    const knobX = Math.max(minKnobX, Math.min(maxKnobX, knobLeftEdge));
-    const knobY = trackY - knobSize / 2;
-    const knobRadius = this.options.borderRadius > 0 ? Math.min(knobSize / 2, this.options.borderRadius) : knobSize / 2;
+    // Position along the stack direction
+    let position = padding;
+    let gap = this.spacing;
+    if (free > 0) {
+      if (this.justify === 'center') {
+        position += free / 2;
+      } else if (this.justify === 'end') {
+        position += free;
+      } else if (this.justify === 'space-between' && children.length > 1) {
+        gap += free / (children.length - 1);
+      }
+    }
 
-    ctx.fillStyle = this.options.controlColor;
-    DrawRoundedRect(ctx, knobX, knobY, knobSize, knobSize, knobRadius);
-    ctx.fill();
+    for (const child of children) {
+      const align = child.layoutOptions.align || this.align;
+      if (align === 'stretch') {
+        if (vertical) {
+          this.resizeChild(child, innerCross, child.height);
+        } else {
+          this.resizeChild(child, child.width, innerCross);
+        }
+      }
+      const crossOffset = padding + this.alignOffset(align, innerCross, child[crossKey]);
 
-    // Use controlColor for knob border to match the control, regardless of focus state
-    ctx.strokeStyle = this.options.controlColor;
-    ctx.lineWidth = 2;
-    DrawRoundedRect(ctx, knobX, knobY, knobSize, knobSize, knobRadius);
-    ctx.stroke();
+      child.localX = vertical ? crossOffset : position;
+      child.localY = vertical ? position : crossOffset;
+      position += child[mainKey] + gap;
+    }
 
-    // Draw value
-    ctx.font = this.options.font;
-    ctx.fillStyle = this.options.textColor;
-    ctx.textAlign = 'right';
-    ctx.textBaseline = 'bottom';
-    // Display zeroText if value is exactly 0 and zeroText is provided
-    const displayText = this.value === 0 && this.zeroText ? this.zeroText : this.value.toString();
-    ctx.fillText(displayText, this.x + this.width - this.options.padding, this.y + this.height - this.options.padding);
+    this.width = vertical ? innerCross + padding * 2 : innerMain + padding * 2;
+    this.height = vertical ? innerMain + padding * 2 : innerCross + padding * 2;
   }
 }
 
-// Panel Control - for grouping other controls with a background
-export class Panel extends Control {
+// Vertical stack layout
+export class VStack extends StackLayout {
   constructor(x, y, options = {}) {
-    const width = options.width || 500; // Default width
-    const height = options.height || 500; // Default height
-    // If manager is available, get theme values
-    let themePanelSurfaceColor, themePanelBorderColor;
-    if (options.manager && options.manager.theme) {
-      themePanelSurfaceColor = options.manager.theme.panelSurfaceColor;
-      themePanelBorderColor = options.manager.theme.panelBorderColor;
-    }
-    super(x, y, width, height, {
-      ...options,
-      panelSurfaceColor: options.panelSurfaceColor || themePanelSurfaceColor,
-      panelBorderColor: options.panelBorderColor || themePanelBorderColor,
-    });
+    super(x, y, 'vertical', options);
   }
+}
 
-  draw(ctx, isFocused) {
-    const radius = this.options.borderRadius || 0;
+// Horizontal stack layout
+export class HStack extends StackLayout {
+  constructor(x, y, options = {}) {
+    super(x, y, 'horizontal', options);
+  }
+}
 
-    // Background - use backgroundColor if provided, otherwise fall back to panelSurfaceColor, then controlSurfaceColor
-    ctx.fillStyle = this.options.backgroundColor || this.options.panelSurfaceColor || this.options.controlSurfaceColor;
-    if (radius > 0) {
-      DrawRoundedRect(ctx, this.x, this.y, this.width, this.height, radius);
-      ctx.fill();
-    } else {
-      ctx.fillRect(this.x, this.y, this.width, this.height);
+// Grid layout - places children left to right in rows of `columns` cells
+export class Grid extends LayoutContainer {
+  constructor(x, y, options = {}) {
+    super(x, y, options);
+    this.columns = Math.max(1, options.columns || 2);
+    this.rowSpacing = options.rowSpacing !== undefined ? options.rowSpacing : this.spacing;
+    this.columnSpacing = options.columnSpacing !== undefined ? options.columnSpacing : this.spacing;
+    this.verticalAlign = options.verticalAlign || 'start';
+    this.cellWidth = options.cellWidth || null; // Fixed cell size (default: widest child in the column / tallest in the row)
+    this.cellHeight = options.cellHeight || null;
+  }
+
+  arrange() {
+    const children = this.getLayoutChildren();
+    const padding = this.layoutPadding;
+    const available = this.getAvailableSize();
+    const rows = Math.ceil(children.length / this.columns);
+
+    this.measureChildren(
+      children,
+      (child) => (child.layoutOptions.align || this.align) === 'stretch' || (child.layoutOptions.verticalAlign || this.verticalAlign) === 'stretch'
+    );
+
+    // Column widths and row heights
+    const columnWidths = new Array(this.columns).fill(0);
+    const rowHeights = new Array(rows).fill(0);
+    children.forEach((child, index) => {
+      const column = index % this.columns;
+      const row = Math.floor(index / this.columns);
+      columnWidths[column] = Math.max(columnWidths[column], this.cellWidth || child.width);
+      rowHeights[row] = Math.max(rowHeights[row], this.cellHeight || child.height);
+    });
+
+    // A fixed width without a fixed cell width shares the space equally between columns
+    const fixedWidth = this.resolveLength(this.layoutWidth, available.width);
+    const fixedHeight = this.resolveLength(this.layoutHeight, available.height);
+    if (fixedWidth !== null && !this.cellWidth) {
+      const columnWidth = (fixedWidth - padding * 2 - (this.columns - 1) * this.columnSpacing) / this.columns;
+      columnWidths.fill(columnWidth);
     }
 
-    // Optional border - use borderColor if provided, otherwise fall back to panelBorderColor, then controlBorderColor
-    if (this.options.borderWidth > 0) {
-      ctx.strokeStyle = this.options.borderColor || this.options.panelBorderColor || this.options.controlBorderColor;
-      ctx.lineWidth = this.options.borderWidth;
-      if (radius > 0) {
-        DrawRoundedRect(ctx, this.x, this.y, this.width, this.height, radius);
-        ctx.stroke();
-      } else {
-        ctx.strokeRect(this.x, this.y, this.width, this.height);
+    children.forEach((child, index) => {
+      const column = index % this.columns;
+      const row = Math.floor(index / this.columns);
+      const cellX = padding + columnWidths.slice(0, column).reduce((sum, w) => sum + w + this.columnSpacing, 0);
+      const cellY = padding + rowHeights.slice(0, row).reduce((sum, h) => sum + h + this.rowSpacing, 0);
+      const align = child.layoutOptions.align || this.align;
+      const verticalAlign = child.layoutOptions.verticalAlign || this.verticalAlign;
+
+      if (align === 'stretch' || verticalAlign === 'stretch') {
+        this.resizeChild(child, align === 'stretch' ? columnWidths[column] : child.width, verticalAlign === 'stretch' ? rowHeights[row] : child.height);
       }
-    }
-  }
+      child.localX = cellX + this.alignOffset(align, columnWidths[column], child.width);
+      child.localY = cellY + this.alignOffset(verticalAlign, rowHeights[row], child.height);
+    });
 
-  // Panels don't receive focus or input
-  containsPoint(x, y) {
-    return false;
+    const contentWidth = columnWidths.reduce((sum, w) => sum + w, 0) + (this.columns - 1) * this.columnSpacing;
+    const contentHeight = rowHeights.reduce((sum, h) => sum + h, 0) + Math.max(0, rows - 1) * this.rowSpacing;
+    this.width = fixedWidth !== null ? fixedWidth : contentWidth + padding * 2;
+    this.height = fixedHeight !== null ? fixedHeight : contentHeight + padding * 2;
   }
 }
 
@@ -1820,11 +7144,33 @@ export class Modal {
     this.manager = manager;
     this.title = title;
     this.message = message;
-    this.buttons = buttons.length > 0 ? buttons : [{ label: 'OK', callback: () => this.close() }];
+    this.buttons = buttons.length > 0 ? buttons : [{ label: manager.t('ui.ok'), callback: () => this.close() }];
 
     // Support custom escape button label
     this.escapeButtonLabel = options.escapeButtonLabel || null;
 
+    // Called on Escape / gamepad B instead of an escape button's callback (the modal still closes),
+    // and after the modal is closed in any way
+    this.onEscape = options.onEscape || null;
+    this.onClose = options.onClose || null;
+
+    // Controls shown between the message and the buttons (e.g. a TextInput for a form dialog), stacked
+    // and centered. Focus moves between them and the button row; containers aren't supported.
+    this.content = options.content || [];
+    this.contentGap = options.contentGap !== undefined ? options.contentGap : 15;
+    for (const control of this.content) {
+      control.manager = manager;
+      control.applyTheme();
+    }
+    this.dragTarget = null; // Content control dragged with the pointer (e.g. a Slider knob)
+    this.scrollY = 0; // The message and content scroll when they don't fit above the buttons
+    this.maxScrollY = 0;
+
+    // Opacity and scale, animated when the modal opens and closes (animate: false to skip)
+    this.animated = options.animate !== false;
+    this.alpha = 1;
+    this.scale = 1;
+
     // Color and style configuration - use theme modal attributes, allow override
     const theme = manager.theme;
     this.colors = {
@@ -1849,8 +7195,8 @@ export class Modal {
     this.borderWidth = options.borderWidth || theme.borderWidth;
     this.borderRadius = options.borderRadius || theme.borderRadius;
 
-    // Calculate dimensions - allow custom sizing
-    const canvas = manager.canvas;
+    // Calculate dimensions - allow custom sizing (in UI coordinates, see manager.width/height)
+    const canvas = { width: manager.width, height: manager.height };
     this.overlayAlpha = 0.7;
 
     // Use provided dimensions or calculate based on content
@@ -1858,26 +7204,28 @@ export class Modal {
       this.width = Math.min(options.width, canvas.width * 0.9);
       this.height = Math.min(options.height, canvas.height * 0.9);
     } else {
-      // Auto-size based on content
-      const ctx = canvas.getContext('2d');
-      ctx.font = '18px Arial';
-      const maxWidth = Math.min(600, canvas.width * 0.8) - 40;
-      const wrappedLines = wrapText(message, maxWidth, (text) => ctx.measureText(text));
-      const lineCount = Math.max(1, wrappedLines.length);
-      const lineHeight = this.textFontSize + 7;
+      // Auto-size based on content (wide enough for the widest content control)
+      const visibleContent = this.content.filter((control) => control.visible);
+      const contentWidth = Math.max(0, ...visibleContent.map((control) => control.width));
+      const contentHeight = visibleContent.reduce((sum, control) => sum + control.height, 0) + Math.max(0, visibleContent.length - 1) * this.contentGap;
+      this.width = Math.min(Math.max(600, contentWidth + 80), canvas.width * 0.8);
+
+      // Measured as layoutContent and draw do, so the content goes where this height leaves room for it
+      const messageTextHeight = this.getMessageHeight() || this.textFontSize + 7;
 
       // Calculate height based on content
       const titleHeight = 60;
-      const messageHeight = lineCount * lineHeight + 40;
+      const messageHeight = message || visibleContent.length === 0 ? messageTextHeight + 40 : 10;
+      const contentSpace = visibleContent.length > 0 ? contentHeight + 20 : 0;
       const buttonsHeight = 90;
       const minHeight = 200;
 
-      this.height = Math.max(minHeight, Math.min(titleHeight + messageHeight + buttonsHeight, canvas.height * 0.8));
-      this.width = Math.min(600, canvas.width * 0.8);
+      this.height = Math.max(minHeight, Math.min(titleHeight + messageHeight + contentSpace + buttonsHeight, canvas.height * 0.8));
     }
 
     this.x = (canvas.width - this.width) / 2;
     this.y = (canvas.height - this.height) / 2;
+    this.layoutContent();
 
     // Create Menu control for buttons
     const buttonHeight = 50;
@@ -1887,12 +7235,13 @@ export class Modal {
     const buttonsX = this.x + (this.width - totalButtonWidth) / 2;
     const buttonsY = this.y + this.height - buttonHeight - 20;
 
-    // Convert button array to menu items format with wrapper callbacks
+    // Convert button array to menu items format with wrapper callbacks. A callback returning false keeps
+    // the modal open (e.g. when a form field isn't valid yet)
     const menuItems = this.buttons.map((button) => ({
       label: button.label,
       callback: () => {
-        if (button.callback) {
-          button.callback();
+        if (button.callback && button.callback() === false) {
+          return;
         }
         this.close();
       },
@@ -1921,56 +7270,249 @@ export class Modal {
     // Set manager for the menu to enable theme application
     this.buttonMenu.manager = manager;
     this.buttonMenu.applyTheme();
+
+    // Keyboard and gamepad focus: a content control, or the button row
+    this.focusedControl = options.initialFocus || this.getFocusOrder()[0];
+    this.scrollIntoView(this.focusedControl);
   }
 
-  handleClick(x, y) {
+  // Message font, color and wrapping, for a RichText message
+  getMessageStyle() {
+    return {
+      fontFamily: 'Arial',
+      fontSize: this.textFontSize,
+      lineHeight: this.textFontSize + 7,
+      maxWidth: this.width - 40,
+      color: this.colors.modalTextColor,
+      align: 'center',
+      icons: this.manager.icons,
+    };
+  }
+
+  // Height of the wrapped message
+  getMessageHeight() {
+    const ctx = this.manager.ctx;
+    if (!this.message) {
+      return 0;
+    }
+    if (this.message instanceof RichText) {
+      return this.message.layout(ctx, this.getMessageStyle()).height;
+    }
+    ctx.font = `${this.textFontSize}px Arial`;
+    return wrapText(this.message, this.width - 40, (text) => ctx.measureText(text)).length * (this.textFontSize + 7);
+  }
+
+  // Area between the title and the buttons that holds the message and content
+  getBodyBounds() {
+    return { x: this.x, y: this.y + 60, width: this.width, height: this.height - 140 };
+  }
+
+  // Stack the content controls below the message, centered and moved by the scroll position
+  layoutContent() {
+    const messageHeight = this.getMessageHeight();
+    let y = messageHeight > 0 ? this.y + 100 + messageHeight : this.y + 70;
+    let bottom = this.y + 80 + messageHeight;
+    for (const control of this.content) {
+      if (!control.visible) {
+        continue;
+      }
+      control.x = this.x + (this.width - control.width) / 2;
+      control.y = y - this.scrollY;
+      bottom = y + control.height;
+      y += control.height + this.contentGap;
+    }
+    const body = this.getBodyBounds();
+    this.maxScrollY = Math.max(0, bottom + 10 - (body.y + body.height));
+  }
+
+  scrollTo(scrollY) {
+    this.scrollY = Math.max(0, Math.min(this.maxScrollY, scrollY));
+    this.layoutContent();
+  }
+
+  // Scroll a content control fully into view
+  scrollIntoView(control) {
+    if (!this.content.includes(control)) {
+      return;
+    }
+    const body = this.getBodyBounds();
+    if (control.y < body.y) {
+      this.scrollTo(this.scrollY - (body.y - control.y));
+    } else if (control.y + control.height > body.y + body.height) {
+      this.scrollTo(this.scrollY + control.y + control.height - (body.y + body.height));
+    }
+  }
+
+  // Controls that can take focus, in order: the visible focusable content, then the button row
+  getFocusOrder() {
+    return [...this.content.filter((control) => control.visible && control.focusable !== false), this.buttonMenu];
+  }
+
+  // Move focus to the next (1) or previous (-1) control, wrapping around
+  moveFocus(step) {
+    const order = this.getFocusOrder();
+    const index = order.indexOf(this.focusedControl);
+    this.focusedControl = order[(index + step + order.length) % order.length];
+    this.scrollIntoView(this.focusedControl);
+  }
+
+  // Topmost visible content control at a point (content scrolled out of the body can't be hit)
+  getContentAt(x, y) {
+    const body = this.getBodyBounds();
+    if (y < body.y || y > body.y + body.height) {
+      return null;
+    }
+    for (let i = this.content.length - 1; i >= 0; i--) {
+      const control = this.content[i];
+      if (control.visible && control.containsPoint(x, y)) {
+        return control;
+      }
+    }
+    return null;
+  }
+
+  handleClick(x, y, button) {
     // Delegate click handling to the menu
     if (this.buttonMenu.isOverInteractiveArea(x, y)) {
+      this.focusedControl = this.buttonMenu;
       this.buttonMenu.handleClick(x, y);
+      return;
+    }
+
+    const control = this.getContentAt(x, y);
+    if (control) {
+      if (control.focusable !== false) {
+        this.focusedControl = control;
+      }
+      if (control.handleClick) {
+        control.handleClick(x, y, button);
+      }
+    }
+  }
+
+  // A content control starting a drag gets the pointer moves and release (through the manager's capture of the modal)
+  handleMouseDown(x, y, button) {
+    const control = this.getContentAt(x, y);
+    if (control && control.handleMouseDown && control.handleMouseDown(x, y, button)) {
+      if (control.focusable !== false) {
+        this.focusedControl = control;
+      }
+      this.dragTarget = control;
+      return true;
+    }
+    return false;
+  }
+
+  handleMouseMove(x, y) {
+    if (this.dragTarget && this.dragTarget.handleMouseMove) {
+      this.dragTarget.handleMouseMove(x, y);
+    }
+  }
+
+  handleMouseUp(x, y, button) {
+    const control = this.dragTarget;
+    this.dragTarget = null;
+    return control && control.handleMouseUp ? control.handleMouseUp(x, y, button) : undefined;
+  }
+
+  // The focused control gets the wheel first, then the body scrolls if it doesn't fit
+  handleWheel(deltaX, deltaY) {
+    const control = this.focusedControl;
+    if (control.handleWheel && control.handleWheel(deltaX, deltaY)) {
+      return true;
+    }
+    const previous = this.scrollY;
+    this.scrollTo(this.scrollY + deltaY);
+    return this.scrollY !== previous;
+  }
+
+  // A ui.t() label with an escape key, or text matching an escape string in the current locale or in English
+  isEscapeLabel(label) {
+    if (label instanceof LocalizedText) {
+      return ESCAPE_STRING_KEYS.includes(label.key);
+    }
+    const text = String(label).toLowerCase();
+    return ESCAPE_STRING_KEYS.some((key) => this.manager.translate(key).toLowerCase() === text || DEFAULT_STRINGS[key].toLowerCase() === text);
+  }
+
+  // Escape or gamepad B: press the escape button (or run onEscape and close), or just close
+  handleEscape() {
+    if (this.onEscape) {
+      this.onEscape();
+      this.close();
+      return;
+    }
+
+    // Use escapeButtonLabel if provided, else a button labelled with an escape string
+    let escapeBtn = null;
+    if (this.escapeButtonLabel) {
+      const escapeLabel = String(this.escapeButtonLabel).toLowerCase();
+      escapeBtn = this.buttons.find((b) => String(b.label).toLowerCase() === escapeLabel);
+    } else {
+      escapeBtn = this.buttons.find((b) => this.isEscapeLabel(b.label));
+    }
+    if (escapeBtn) {
+      // Pressed like a click, so a callback returning false keeps the modal open here too
+      this.pressButton(this.buttons.indexOf(escapeBtn));
+    } else {
+      this.close();
     }
   }
 
   handleKeyDown(e) {
     if (e.key === 'Escape') {
-      // Use escapeButtonLabel if provided, else fallback to default
-      let escapeBtn = null;
-      if (this.escapeButtonLabel) {
-        escapeBtn = this.buttons.find((b) => b.label.toLowerCase() === this.escapeButtonLabel.toLowerCase());
-      } else {
-        escapeBtn = this.buttons.find((b) => ['exit', 'close', 'cancel'].includes(b.label.toLowerCase()));
-      }
-      if (escapeBtn && escapeBtn.callback) escapeBtn.callback();
-      this.close();
+      this.handleEscape();
       e.preventDefault();
-    } else {
-      // Delegate all other key handling to the menu
-      this.buttonMenu.handleKeyDown(e);
+      return;
+    }
+
+    // Tab, and up/down arrows the focused control doesn't use, move between the content and the buttons
+    const direction = ARROW_KEY_DIRECTIONS[e.key];
+    if (this.content.length > 0 && (e.key === 'Tab' || ((direction === 'up' || direction === 'down') && !this.focusedControl.handlesDirection(direction)))) {
+      this.moveFocus(e.shiftKey || direction === 'up' ? -1 : 1);
+      e.preventDefault();
+      return;
+    }
+
+    // Delegate all other key handling to the focused control (the menu without content)
+    if (this.focusedControl.handleKeyDown) {
+      this.focusedControl.handleKeyDown(e);
     }
   }
 
   handleGamepadButton(buttonIndex) {
     // Button 1 (B/Circle) = Exit/Cancel like ESC
     if (buttonIndex === 1) {
-      // Use escapeButtonLabel if provided, else fallback to default
-      let escapeBtn = null;
-      if (this.escapeButtonLabel) {
-        escapeBtn = this.buttons.find((b) => b.label.toLowerCase() === this.escapeButtonLabel.toLowerCase());
+      this.handleEscape();
+      return;
+    }
+
+    const control = this.focusedControl;
+    const direction = DPAD_BUTTON_DIRECTIONS[buttonIndex];
+    if (this.content.length > 0 && (direction === 'up' || direction === 'down')) {
+      // Up/down move between the content and the buttons, unless the focused control uses them
+      if (control.handlesDirection(direction)) {
+        this.manager.sendGamepadDirection(control, direction === 'up' ? -1 : 1);
       } else {
-        escapeBtn = this.buttons.find((b) => ['exit', 'close', 'cancel'].includes(b.label.toLowerCase()));
+        this.moveFocus(direction === 'up' ? -1 : 1);
       }
-      if (escapeBtn && escapeBtn.callback) {
-        escapeBtn.callback();
-      }
-      this.close();
-    } else {
-      // Delegate gamepad handling to the menu
-      if (buttonIndex === 0) {
-        this.buttonMenu.activate();
-      } else if (buttonIndex === 14) {
-        this.buttonMenu.handleGamepadLeft();
-      } else if (buttonIndex === 15) {
-        this.buttonMenu.handleGamepadRight();
+    } else if (buttonIndex === 0) {
+      if (control.activate) {
+        control.activate();
       }
+    } else if (direction === 'left' || direction === 'right') {
+      this.manager.sendGamepadDirection(control, direction === 'left' ? -1 : 1);
+    } else if (!direction && control.handleGamepadButton) {
+      // Other buttons go to the focused control
+      control.handleGamepadButton(buttonIndex);
+    }
+  }
+
+  // Choose a button from code, as if it was clicked
+  pressButton(index) {
+    const item = this.buttonMenu.items[index];
+    if (item) {
+      item.callback();
     }
   }
 
@@ -1979,6 +7521,17 @@ export class Modal {
   }
 
   update(deltaTime) {
+    // Keep focus on a control that can take it
+    if (!this.getFocusOrder().includes(this.focusedControl)) {
+      this.focusedControl = this.buttonMenu;
+    }
+
+    for (const control of this.content) {
+      if (control.update) {
+        control.update(deltaTime);
+      }
+    }
+
     // Update the button menu
     if (this.buttonMenu.update) {
       this.buttonMenu.update(deltaTime);
@@ -1986,16 +7539,32 @@ export class Modal {
   }
 
   isOverButton(x, y) {
-    // Check if over the button menu
-    return this.buttonMenu.isOverInteractiveArea(x, y);
+    // Check if over the button menu or an interactive content control
+    if (this.buttonMenu.isOverInteractiveArea(x, y)) {
+      return true;
+    }
+    const control = this.getContentAt(x, y);
+    return control !== null && control.focusable !== false && (!control.isOverInteractiveArea || control.isOverInteractiveArea(x, y));
   }
 
   draw(ctx) {
     const modalRadius = this.borderRadius;
+    ctx.save();
+    ctx.globalAlpha *= this.alpha;
 
-    // Draw overlay
+    // Draw overlay over the whole canvas
+    const bounds = this.manager.getVisibleBounds();
     ctx.fillStyle = `rgba(0, 0, 0, ${this.overlayAlpha})`;
-    ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    ctx.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+
+    // Scale the dialog about its center
+    if (this.scale !== 1) {
+      const centerX = this.x + this.width / 2;
+      const centerY = this.y + this.height / 2;
+      ctx.translate(centerX, centerY);
+      ctx.scale(this.scale, this.scale);
+      ctx.translate(-centerX, -centerY);
+    }
 
     // Draw modal background
     ctx.fillStyle = this.colors.modalSurfaceColor;
@@ -2013,7 +7582,14 @@ export class Modal {
     ctx.fillStyle = this.colors.modalTextColor;
     ctx.textAlign = 'center';
     ctx.textBaseline = 'top';
-    ctx.fillText(this.title, this.x + this.width / 2, this.y + 20);
+    fillLabelText(ctx, this.title, this.x + this.width / 2, this.y + 20, this.manager.icons);
+
+    // The message and content are clipped to the body, above the buttons
+    const body = this.getBodyBounds();
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(body.x, body.y, body.width, body.height);
+    ctx.clip();
 
     // Draw message (main text)
     ctx.font = `${this.textFontSize}px Arial`;
@@ -2024,14 +7600,19 @@ export class Modal {
     // Word wrap message
     const maxWidth = this.width - 40;
     const lineHeight = this.textFontSize + 7;
-    const lines = wrapText(this.message, maxWidth, (text) => ctx.measureText(text));
-    let y = this.y + 80;
+    let y = this.y + 80 - this.scrollY;
     let lastLineY = y;
 
-    for (const line of lines) {
-      ctx.fillText(line, this.x + this.width / 2, y);
-      lastLineY = y;
-      y += lineHeight;
+    if (this.message instanceof RichText) {
+      const layout = this.message.draw(ctx, this.x + this.width / 2, y, this.getMessageStyle());
+      lastLineY = y + layout.height - lineHeight;
+    } else {
+      const lines = wrapText(this.message, maxWidth, (text) => ctx.measureText(text));
+      for (const line of lines) {
+        ctx.fillText(line, this.x + this.width / 2, y);
+        lastLineY = y;
+        y += lineHeight;
+      }
     }
 
     // Optionally draw secondary text if provided in this.options
@@ -2043,10 +7624,322 @@ export class Modal {
       ctx.fillText(this.options.text2, this.x + this.width / 2, lastLineY + lineHeight + 10);
     }
 
-    // Draw the button menu (it handles all button rendering)
+    // Draw the content controls
+    for (const control of this.content) {
+      if (control.visible) {
+        drawWithEffects(ctx, control, () => control.draw(ctx, control === this.focusedControl));
+      }
+    }
+    ctx.restore();
+
+    // Scrollbar when the body doesn't fit
+    if (this.maxScrollY > 0) {
+      const thumbHeight = Math.max(20, (body.height * body.height) / (body.height + this.maxScrollY));
+      const thumbY = body.y + (this.scrollY / this.maxScrollY) * (body.height - thumbHeight);
+      ctx.fillStyle = this.manager.theme.scrollbarColor;
+      ctx.fillRect(this.x + this.width - 10, thumbY, 4, thumbHeight);
+    }
+
+    // Draw the button menu (it handles all button rendering); focused unless a content control has focus
     if (this.buttonMenu && this.buttonMenu.draw) {
-      this.buttonMenu.draw(ctx, true); // Always draw as focused since modal has focus
+      this.buttonMenu.draw(ctx, this.focusedControl === this.buttonMenu);
+    }
+    ctx.restore();
+  }
+}
+
+// On-screen keyboard for entering text with a gamepad or touch screen
+export class VirtualKeyboard {
+  constructor(manager, textInput, options = {}) {
+    this.manager = manager;
+    this.textInput = textInput;
+    this.layout = options.layout ? mergeKeyboardLayout(manager.keyboardLayout, options.layout) : manager.keyboardLayout;
+    this.layer = 'default';
+    this.shiftOnce = false; // Shift applies to the next character only
+
+    // Colors use the modal and control theme attributes, allow override
+    const theme = manager.theme;
+    this.colors = {
+      modalSurfaceColor: options.modalSurfaceColor || theme.modalSurfaceColor,
+      modalBorderColor: options.modalBorderColor || theme.modalBorderColor,
+      controlSurfaceColor: options.controlSurfaceColor || theme.controlSurfaceColor,
+      controlBorderColor: options.controlBorderColor || theme.controlBorderColor,
+      controlColor: options.controlColor || theme.controlColor,
+      controlTextColor: options.controlTextColor || theme.controlTextColor,
+      menuButtonColor: options.menuButtonColor || theme.menuButtonColor,
+      menuButtonFocusBorderColor: options.menuButtonFocusBorderColor || theme.menuButtonFocusBorderColor,
+    };
+    this.fontFamily = options.fontFamily || manager.defaultFont.family;
+    this.fontSize = options.fontSize || 20;
+    this.borderWidth = options.borderWidth || theme.borderWidth;
+    this.borderRadius = options.borderRadius !== undefined ? options.borderRadius : theme.borderRadius;
+    this.overlayAlpha = 0.4;
+
+    // Size: keys fill the panel width, which sits at the bottom of the screen
+    this.keyHeight = options.keyHeight || 50;
+    this.keyGap = options.keyGap || 6;
+    this.padding = 12;
+    this.width = Math.min(options.width || 900, manager.width - 20);
+
+    this.row = 0;
+    this.column = 0;
+    this.buildKeys();
+  }
+
+  // Lay out the keys of the current layer
+  buildKeys() {
+    const rows = this.layout.layers[this.layer] || this.layout.layers.default;
+    const widths = this.layout.widths || {};
+    const previewHeight = this.keyHeight;
+
+    this.height = this.padding * 2 + previewHeight + this.keyGap + rows.length * (this.keyHeight + this.keyGap) - this.keyGap;
+    this.x = (this.manager.width - this.width) / 2;
+    this.y = this.manager.height - this.height - 10;
+    this.previewBounds = { x: this.x + this.padding, y: this.y + this.padding, width: this.width - this.padding * 2, height: previewHeight };
+
+    // Rows share one key size so columns line up; shorter rows are centered
+    const innerWidth = this.width - this.padding * 2;
+    const rowKeys = rows.map((row) => (typeof row === 'string' ? [...row] : row));
+    const rowUnits = rowKeys.map((keys) => keys.reduce((total, key) => total + (widths[key] || 1), 0));
+    const unitWidth = (innerWidth + this.keyGap) / Math.max(...rowUnits, 10) - this.keyGap;
+
+    this.rows = rowKeys.map((keys, rowIndex) => {
+      const keyWidths = keys.map((key) => (widths[key] || 1) * (unitWidth + this.keyGap) - this.keyGap);
+      const rowWidth = keyWidths.reduce((total, width) => total + width, 0) + (keys.length - 1) * this.keyGap;
+      let keyX = this.x + this.padding + (innerWidth - rowWidth) / 2;
+      const keyY = this.previewBounds.y + previewHeight + this.keyGap + rowIndex * (this.keyHeight + this.keyGap);
+
+      return keys.map((key, index) => {
+        const bounds = { key, x: keyX, y: keyY, width: keyWidths[index], height: this.keyHeight };
+        keyX += keyWidths[index] + this.keyGap;
+        return bounds;
+      });
+    });
+
+    this.row = Math.min(this.row, this.rows.length - 1);
+    this.column = Math.min(this.column, this.rows[this.row].length - 1);
+  }
+
+  setLayer(layer) {
+    this.layer = layer;
+    this.buildKeys();
+  }
+
+  getFocusedKey() {
+    return this.rows[this.row][this.column];
+  }
+
+  getKeyAt(x, y) {
+    for (let row = 0; row < this.rows.length; row++) {
+      for (let column = 0; column < this.rows[row].length; column++) {
+        const bounds = this.rows[row][column];
+        if (x >= bounds.x && x <= bounds.x + bounds.width && y >= bounds.y && y <= bounds.y + bounds.height) {
+          return { row, column };
+        }
+      }
+    }
+    return null;
+  }
+
+  // Move the key focus, wrapping at the edges; moving up or down picks the key nearest horizontally
+  moveFocus(direction) {
+    if (direction === 'left' || direction === 'right') {
+      const count = this.rows[this.row].length;
+      this.column = (this.column + (direction === 'left' ? -1 : 1) + count) % count;
+      return;
+    }
+
+    const current = this.getFocusedKey();
+    const centerX = current.x + current.width / 2;
+    this.row = (this.row + (direction === 'up' ? -1 : 1) + this.rows.length) % this.rows.length;
+    let bestDistance = Infinity;
+    this.rows[this.row].forEach((bounds, column) => {
+      const distance = Math.abs(bounds.x + bounds.width / 2 - centerX);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        this.column = column;
+      }
+    });
+  }
+
+  pressKey(key) {
+    if (key === '{shift}') {
+      this.shiftOnce = this.layer !== 'shift';
+      this.setLayer(this.layer === 'shift' ? 'default' : 'shift');
+    } else if (key === '{symbols}') {
+      this.setLayer('symbols');
+    } else if (key === '{default}') {
+      this.setLayer('default');
+    } else if (key === '{backspace}') {
+      this.textInput.deleteBackward();
+    } else if (key === '{space}') {
+      this.textInput.replaceSelection(' ');
+    } else if (key === '{done}') {
+      this.close();
+      this.textInput.submit();
+    } else {
+      this.textInput.replaceSelection(key);
+      if (this.shiftOnce) {
+        this.shiftOnce = false;
+        this.setLayer('default');
+      }
+    }
+  }
+
+  // Keys as a group of buttons
+  getAccessibleInfo() {
+    const keys = this.rows.flat();
+    return {
+      role: 'group',
+      label: this.manager.translate('ui.keyboard'),
+      items: keys.map((bounds) => ({ role: 'button', label: this.layout.labels[bounds.key] !== undefined ? this.layout.labels[bounds.key] : bounds.key })),
+      activeItem: keys.indexOf(this.getFocusedKey()),
+    };
+  }
+
+  handleAccessibleAction(item) {
+    const bounds = this.rows.flat()[item];
+    if (bounds) {
+      this.pressKey(bounds.key);
+    }
+  }
+
+  handleClick(x, y) {
+    const position = this.getKeyAt(x, y);
+    if (position) {
+      this.row = position.row;
+      this.column = position.column;
+      this.pressKey(this.getFocusedKey().key);
+    }
+  }
+
+  isOverButton(x, y) {
+    return this.getKeyAt(x, y) !== null;
+  }
+
+  handleKeyDown(e) {
+    const direction = ARROW_KEY_DIRECTIONS[e.key];
+    if (e.key === 'Escape') {
+      this.close();
+      e.preventDefault();
+    } else if (direction) {
+      this.moveFocus(direction);
+      e.preventDefault();
+    } else if (e.key === 'Enter') {
+      this.pressKey(this.getFocusedKey().key);
+      e.preventDefault();
+    } else {
+      // A physical keyboard still types into the input
+      this.textInput.handleKeyDown(e);
+    }
+  }
+
+  handleGamepadButton(buttonIndex) {
+    const direction = DPAD_BUTTON_DIRECTIONS[buttonIndex];
+    if (direction) {
+      this.moveFocus(direction);
+    } else if (buttonIndex === 0) {
+      // A = press the focused key
+      this.pressKey(this.getFocusedKey().key);
+    } else if (buttonIndex === 1) {
+      // B = close, keeping the text entered so far
+      this.close();
+    } else if (buttonIndex === 2) {
+      // X = backspace
+      this.pressKey('{backspace}');
+    } else if (buttonIndex === 3) {
+      // Y = space
+      this.pressKey('{space}');
+    } else if (buttonIndex === 9) {
+      // Start = done
+      this.pressKey('{done}');
+    }
+  }
+
+  close() {
+    this.manager.closeModal(this);
+  }
+
+  update(deltaTime) {
+    // Keep the input's cursor blinking while the keyboard is open
+    this.textInput.update(deltaTime);
+  }
+
+  draw(ctx) {
+    // Dim the screen behind the keyboard
+    const bounds = this.manager.getVisibleBounds();
+    ctx.fillStyle = `rgba(0, 0, 0, ${this.overlayAlpha})`;
+    ctx.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+
+    ctx.fillStyle = this.colors.modalSurfaceColor;
+    DrawRoundedRect(ctx, this.x, this.y, this.width, this.height, this.borderRadius);
+    ctx.fill();
+    ctx.strokeStyle = this.colors.modalBorderColor;
+    ctx.lineWidth = this.borderWidth;
+    DrawRoundedRect(ctx, this.x, this.y, this.width, this.height, this.borderRadius);
+    ctx.stroke();
+
+    this.drawPreview(ctx);
+
+    ctx.font = `${this.fontSize}px ${this.fontFamily}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const focusedKey = this.getFocusedKey();
+    for (const row of this.rows) {
+      for (const key of row) {
+        const isFocused = key === focusedKey;
+        const isActive = key.key === '{shift}' && this.layer === 'shift';
+        ctx.fillStyle = isFocused ? this.colors.menuButtonColor : isActive ? this.colors.controlColor : this.colors.controlSurfaceColor;
+        DrawRoundedRect(ctx, key.x, key.y, key.width, key.height, this.borderRadius);
+        ctx.fill();
+        ctx.strokeStyle = isFocused ? this.colors.menuButtonFocusBorderColor : this.colors.controlBorderColor;
+        ctx.lineWidth = isFocused ? this.borderWidth * 2 : this.borderWidth;
+        DrawRoundedRect(ctx, key.x, key.y, key.width, key.height, this.borderRadius);
+        ctx.stroke();
+
+        const label = this.layout.labels[key.key] !== undefined ? this.layout.labels[key.key] : key.key;
+        ctx.fillStyle = this.colors.controlTextColor;
+        ctx.fillText(label, key.x + key.width / 2, key.y + key.height / 2);
+      }
+    }
+  }
+
+  // Show the text being edited above the keys, scrolled so the cursor stays visible
+  drawPreview(ctx) {
+    const preview = this.previewBounds;
+    ctx.fillStyle = this.colors.controlSurfaceColor;
+    DrawRoundedRect(ctx, preview.x, preview.y, preview.width, preview.height, this.borderRadius);
+    ctx.fill();
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(preview.x + 8, preview.y, preview.width - 16, preview.height);
+    ctx.clip();
+
+    ctx.font = `${this.fontSize}px ${this.fontFamily}`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    const text = this.textInput.getDisplayText();
+    const cursorOffset = ctx.measureText(this.textInput.getDisplayText(this.textInput.cursorPos)).width;
+    const textX = preview.x + 10 - Math.max(0, cursorOffset - (preview.width - 24));
+    const textY = preview.y + preview.height / 2;
+    if (text) {
+      ctx.fillStyle = this.colors.controlTextColor;
+      ctx.fillText(text, textX, textY);
+    } else {
+      ctx.fillStyle = this.colors.controlColor;
+      ctx.fillText(this.textInput.placeholder, textX, textY);
+    }
+
+    if (this.textInput.cursorVisible) {
+      ctx.strokeStyle = this.colors.controlTextColor;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(textX + cursorOffset, preview.y + 10);
+      ctx.lineTo(textX + cursorOffset, preview.y + preview.height - 10);
+      ctx.stroke();
     }
+    ctx.restore();
   }
 }
 
@@ -2059,72 +7952,424 @@ export class Toast {
     this.type = type;
     this.duration = duration;
 
-    this.width = 300;
-    this.height = 80;
+    this.width = manager.toastWidth;
+    this.height = 80; // Grows to fit the message when shown (see measure)
     this.padding = 15;
+    this.iconSize = 40;
 
-    // Type-specific colors and icons
+    // Type-specific theme colors and icons
     this.typeConfig = {
-      info: { color: '#2196F3', icon: 'ℹ' },
-      success: { color: '#4CAF50', icon: '✓' },
-      warning: { color: '#FF9800', icon: '⚠' },
-      error: { color: '#F44336', icon: '✕' },
-      achievement: { color: '#FFD700', icon: '★' },
+      info: { colorKey: 'toastInfoColor', icon: 'ℹ' },
+      success: { colorKey: 'toastSuccessColor', icon: '✓' },
+      warning: { colorKey: 'toastWarningColor', icon: '⚠' },
+      error: { colorKey: 'toastErrorColor', icon: '✕' },
+      achievement: { colorKey: 'toastAchievementColor', icon: '★' },
     };
 
     this.config = this.typeConfig[type] || this.typeConfig.info;
+
+    // Lifetime, advanced by the manager's update() while the toast is on screen
+    this.elapsed = 0;
+    this.closing = false;
+
+    // Stack position set by the manager, and the slide and fade animated when the toast appears and leaves
+    this.x = 0;
+    this.y = null;
+    this.offsetX = 0;
+    this.offsetY = 0;
+    this.alpha = 1;
+
+    this.lines = [];
+    this.lineHeight = 18;
+    this.textHeight = 0;
   }
 
-  draw(ctx, index) {
-    const canvas = ctx.canvas;
-    const x = canvas.width - this.width - 20;
-    const y = 20 + index * (this.height + 10);
+  // Slide out and remove the toast now
+  dismiss() {
+    this.manager.dismissToast(this);
+  }
 
-    // Background
-    ctx.fillStyle = '#2a2a2a';
-    ctx.fillRect(x, y, this.width, this.height);
+  // Message font, color and wrapping, for a RichText message
+  getMessageStyle() {
+    const theme = this.manager.theme;
+    return {
+      fontFamily: theme.fontFamily,
+      fontSize: theme.toastFontSize,
+      lineHeight: this.lineHeight,
+      maxWidth: this.width - this.iconSize - this.padding * 3,
+      color: theme.toastTextColor,
+      icons: this.manager.icons,
+    };
+  }
 
-    // Border with type color
-    ctx.strokeStyle = this.config.color;
+  // Word-wrap the message and make the toast tall enough for it
+  measure(ctx) {
+    const theme = this.manager.theme;
+    this.lineHeight = Math.round(theme.toastFontSize * 1.3);
+    if (this.message instanceof RichText) {
+      this.textHeight = this.message.layout(ctx, this.getMessageStyle()).height;
+    } else {
+      ctx.save();
+      ctx.font = `${theme.toastFontSize}px ${theme.fontFamily}`;
+      const maxWidth = this.width - this.iconSize - this.padding * 3;
+      this.lines = wrapText(this.message, maxWidth, (text) => ctx.measureText(text)).map((line) => line.trim());
+      ctx.restore();
+      this.textHeight = this.lines.length * this.lineHeight;
+    }
+    this.height = Math.max(80, this.textHeight + this.padding * 2);
+  }
+
+  containsPoint(x, y) {
+    const left = this.x + this.offsetX;
+    const top = this.y + this.offsetY;
+    return x >= left && x <= left + this.width && y >= top && y <= top + this.height;
+  }
+
+  draw(ctx) {
+    const theme = this.manager.theme;
+    const color = theme[this.config.colorKey];
+    const x = this.x + this.offsetX;
+    const y = this.y + this.offsetY;
+    ctx.save();
+    ctx.globalAlpha *= this.alpha;
+
+    // Background, with a border in the type color
+    ctx.beginPath();
+    DrawRoundedRect(ctx, x, y, this.width, this.height, theme.borderRadius);
+    ctx.fillStyle = theme.toastSurfaceColor;
+    ctx.fill();
+    ctx.strokeStyle = color;
     ctx.lineWidth = 3;
-    ctx.strokeRect(x, y, this.width, this.height);
+    ctx.stroke();
 
     // Icon circle
-    const iconSize = 40;
-    const iconX = x + this.padding + iconSize / 2;
+    const iconX = x + this.padding + this.iconSize / 2;
     const iconY = y + this.height / 2;
 
-    ctx.fillStyle = this.config.color;
+    ctx.fillStyle = color;
     ctx.beginPath();
-    ctx.arc(iconX, iconY, iconSize / 2, 0, Math.PI * 2);
+    ctx.arc(iconX, iconY, this.iconSize / 2, 0, Math.PI * 2);
     ctx.fill();
 
     // Icon
-    ctx.font = this.type === 'achievement' ? 'bold 30px Arial' : 'bold 24px Arial';
-    ctx.fillStyle = '#fff';
+    ctx.font = `bold ${this.type === 'achievement' ? 30 : 24}px ${theme.fontFamily}`;
+    ctx.fillStyle = theme.toastTextColor;
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
     ctx.fillText(this.config.icon, iconX, iconY);
 
-    // Message
-    ctx.font = '14px Arial';
-    ctx.fillStyle = '#ffffff';
+    // Message lines centered vertically
+    ctx.font = `${theme.toastFontSize}px ${theme.fontFamily}`;
     ctx.textAlign = 'left';
-    ctx.textBaseline = 'middle';
+    const messageX = x + this.iconSize + this.padding * 2;
+    if (this.message instanceof RichText) {
+      this.message.draw(ctx, messageX, y + (this.height - this.textHeight) / 2, this.getMessageStyle());
+    } else {
+      let messageY = y + (this.height - this.textHeight) / 2 + this.lineHeight / 2;
+      for (let line of this.lines) {
+        ctx.fillText(line, messageX, messageY);
+        messageY += this.lineHeight;
+      }
+    }
+    ctx.restore();
+  }
+}
+
+// ARIA attribute for each field of a control's accessible info (see Control.getAccessibleInfo)
+const ACCESSIBLE_ATTRIBUTES = {
+  label: 'aria-label',
+  checked: 'aria-checked',
+  selected: 'aria-selected',
+  value: 'aria-valuenow',
+  min: 'aria-valuemin',
+  max: 'aria-valuemax',
+  valueText: 'aria-valuetext',
+  expanded: 'aria-expanded',
+  multiline: 'aria-multiline',
+  multiSelect: 'aria-multiselectable',
+  position: 'aria-posinset',
+  setSize: 'aria-setsize',
+  modal: 'aria-modal',
+};
+
+// Accessibility bridge - keeps a DOM tree inside the canvas (as fallback content, which isn't painted but
+// is read by screen readers) in step with the controls and modals, with an element for each control and
+// its items using ARIA roles. Focus follows the UI's focus, and clicks and focus from assistive technology
+// are routed back to the controls. Keys pressed on the mirror bubble up to the canvas as usual, apart from
+// arrow keys on sliders and spin buttons, which step their value. The canvas needs a tabindex to take focus
+// itself. Created with ui.setAccessibility(true) or the accessibility option.
+export class AccessibilityBridge {
+  constructor(manager) {
+    this.manager = manager;
+    this.interval = 100; // Milliseconds of update() between syncs
+    this.elapsed = this.interval;
+    this.entries = new Map(); // Control, modal or text -> { element, items, key }
+    this.targets = new WeakMap(); // Mirror element -> { owner, item, modal }
+    this.focusing = false; // Set while the bridge moves DOM focus itself
+
+    this.root = document.createElement('div');
+    this.main = document.createElement('div');
+    this.dialogs = document.createElement('div');
+    this.status = document.createElement('div');
+    this.status.setAttribute('role', 'status');
+    this.status.setAttribute('aria-live', 'polite');
+    this.alert = document.createElement('div');
+    this.alert.setAttribute('role', 'alert');
+    this.alert.setAttribute('aria-live', 'assertive');
+    this.root.append(this.main, this.dialogs, this.status, this.alert);
+
+    // Assistive technology clicks and focus; pointer events stop here so the canvas doesn't see them at 0, 0
+    this.clickListener = (e) => this.onClick(e);
+    this.focusListener = (e) => this.onFocus(e);
+    this.keyListener = (e) => this.onKeyDown(e);
+    this.stopListener = (e) => e.stopPropagation();
+    this.root.addEventListener('click', this.clickListener);
+    this.root.addEventListener('focusin', this.focusListener);
+    this.root.addEventListener('keydown', this.keyListener);
+    for (const type of ['mousedown', 'mouseup', 'pointerdown', 'pointerup', 'touchstart', 'touchend']) {
+      this.root.addEventListener(type, this.stopListener);
+    }
+    manager.canvas.appendChild(this.root);
+  }
+
+  destroy() {
+    this.root.remove();
+    this.entries.clear();
+  }
+
+  update(deltaTime) {
+    this.elapsed += deltaTime;
+    if (this.elapsed >= this.interval) {
+      this.elapsed = 0;
+      this.sync();
+    }
+  }
+
+  // Read a message with the polite or assertive live region, keeping the last few lines
+  announce(message, priority = 'polite') {
+    const region = priority === 'assertive' ? this.alert : this.status;
+    const line = document.createElement('div');
+    line.textContent = message;
+    region.appendChild(line);
+    while (region.children.length > 5) {
+      region.firstChild.remove();
+    }
+  }
+
+  // Bring the mirror up to date with the current screen's texts and controls, and the open modals
+  sync() {
+    const manager = this.manager;
+    // The canvas can only hold focus with a tabindex; without one, focus is inside once a screen reader moves into the mirror
+    const focusInside = document.activeElement === manager.canvas || this.root.contains(document.activeElement);
+    const used = new Set();
+
+    const mainElements = [];
+    for (const textObj of manager.texts) {
+      mainElements.push(this.syncEntry(textObj, { text: textObj.text }, null, used));
+    }
+    for (const control of manager.controls) {
+      const info = manager.isControlVisible(control) ? control.getAccessibleInfo() : null;
+      if (info) {
+        mainElements.push(this.syncEntry(control, info, null, used));
+      }
+    }
+
+    const dialogElements = [];
+    for (const modal of manager.modals) {
+      if (modal instanceof Modal) {
+        dialogElements.push(this.syncDialog(modal, used));
+      } else if (modal.getAccessibleInfo) {
+        dialogElements.push(this.syncEntry(modal, modal.getAccessibleInfo(), null, used));
+      }
+    }
+
+    for (const owner of this.entries.keys()) {
+      if (!used.has(owner)) {
+        this.entries.delete(owner);
+      }
+    }
+    this.setChildren(this.main, mainElements);
+    this.setChildren(this.dialogs, dialogElements);
+    if (dialogElements.length > 0) {
+      this.main.setAttribute('aria-hidden', 'true');
+    } else {
+      this.main.removeAttribute('aria-hidden');
+    }
+
+    // Move DOM focus to the focused control, unless the page's focus is somewhere else
+    const element = this.getFocusTarget();
+    if (element && focusInside && document.activeElement !== element) {
+      this.focusing = true;
+      element.focus({ preventScroll: true });
+      this.focusing = false;
+    }
+  }
+
+  // Dialog element with the title as its name, then the message, content controls and buttons
+  syncDialog(modal, used) {
+    const dialog = this.syncEntry(modal, { role: 'dialog', label: modal.title || modal.message, modal: true }, null, used);
+    const entry = this.entries.get(modal);
+    const children = [];
+    if (modal.message) {
+      entry.message = entry.message || document.createElement('p');
+      const text = String(modal.message);
+      if (entry.message.textContent !== text) {
+        entry.message.textContent = text;
+      }
+      children.push(entry.message);
+    }
+    for (const control of modal.content) {
+      const info = control.visible ? control.getAccessibleInfo() : null;
+      if (info) {
+        children.push(this.syncEntry(control, info, modal, used));
+      }
+    }
+    children.push(this.syncEntry(modal.buttonMenu, modal.buttonMenu.getAccessibleInfo(), modal, used));
+    this.setChildren(dialog, children);
+    return dialog;
+  }
+
+  // Create or update the element for an owner; only changed descriptions touch the DOM
+  syncEntry(owner, info, modal, used) {
+    used.add(owner);
+    let entry = this.entries.get(owner);
+    if (!entry) {
+      entry = { element: document.createElement('div'), items: [], key: null };
+      this.entries.set(owner, entry);
+      this.targets.set(entry.element, { owner, item: undefined, modal });
+    }
+    const { items = [], activeItem, ...state } = this.normalize(owner.accessibleLabel ? { ...info, label: owner.accessibleLabel } : info);
+    const key = JSON.stringify([state, items]);
+    if (key !== entry.key) {
+      entry.key = key;
+      this.applyInfo(entry.element, state);
+
+      // Item elements are reused so the focused one keeps DOM focus
+      const previousCount = entry.items.length;
+      entry.items.length = Math.min(entry.items.length, items.length);
+      items.forEach((itemInfo, i) => {
+        if (!entry.items[i]) {
+          entry.items[i] = document.createElement('div');
+        }
+        this.applyInfo(entry.items[i], itemInfo);
+        this.targets.set(entry.items[i], { owner, item: itemInfo.index !== undefined ? itemInfo.index : i, modal });
+      });
+      if (items.length > 0 || previousCount > 0) {
+        this.setChildren(entry.element, entry.items);
+      }
+    }
+    entry.activeItem = activeItem;
+    return entry.element;
+  }
+
+  // Labels and values may be ui.t() labels or RichText; missing values leave their attribute off
+  normalize(info) {
+    const result = {};
+    for (const [name, value] of Object.entries(info)) {
+      if (name === 'items') {
+        result.items = value.map((item) => this.normalize(item));
+      } else if (value !== null && value !== undefined && value !== '') {
+        result[name] = typeof value === 'object' ? String(value) : value;
+      }
+    }
+    return result;
+  }
+
+  // Elements with a role can take focus from code and screen readers, but aren't in the Tab order
+  applyInfo(element, info) {
+    if (info.role) {
+      element.setAttribute('role', info.role);
+    } else {
+      element.removeAttribute('role');
+    }
+    for (const [name, attribute] of Object.entries(ACCESSIBLE_ATTRIBUTES)) {
+      if (info[name] !== undefined) {
+        element.setAttribute(attribute, String(info[name]));
+      } else {
+        element.removeAttribute(attribute);
+      }
+    }
+    if (info.text !== undefined) {
+      element.textContent = info.text;
+    }
+    if (info.role && !element.hasAttribute('tabindex')) {
+      element.setAttribute('tabindex', '-1');
+    }
+  }
+
+  setChildren(parent, elements) {
+    const current = Array.from(parent.children);
+    if (current.length !== elements.length || current.some((element, i) => element !== elements[i])) {
+      parent.replaceChildren(...elements);
+    }
+  }
+
+  // Element for the focused control (in the top modal, if any), or for its active item
+  getFocusTarget() {
+    const manager = this.manager;
+    const modal = manager.modals[manager.modals.length - 1];
+    const owner = modal ? (modal instanceof Modal ? modal.focusedControl : modal) : manager.getFocusedControl();
+    const entry = owner ? this.entries.get(owner) : null;
+    if (!entry) {
+      return null;
+    }
+    return entry.items[entry.activeItem] || entry.element;
+  }
+
+  getTarget(element) {
+    for (let current = element; current && current !== this.root; current = current.parentNode) {
+      const target = this.targets.get(current);
+      if (target) {
+        return target;
+      }
+    }
+    return null;
+  }
+
+  // Focus the control a mirror element belongs to (a screen reader moved its focus there)
+  focusOwner(target) {
+    const { owner, modal } = target;
+    if (modal) {
+      if (modal.getFocusOrder().includes(owner)) {
+        modal.focusedControl = owner;
+      }
+    } else if (owner instanceof Control && this.manager.controls.includes(owner)) {
+      this.manager.focusControl(owner);
+    }
+  }
 
-    // Word wrap
-    const maxWidth = this.width - iconSize - this.padding * 3;
-    const messageX = x + iconSize + this.padding * 2;
-    const lines = wrapText(this.message, maxWidth, (text) => ctx.measureText(text));
+  onFocus(e) {
+    const target = this.focusing ? null : this.getTarget(e.target);
+    if (target) {
+      this.focusOwner(target);
+    }
+  }
 
-    // Draw lines centered vertically
-    const lineHeight = 18;
-    const totalHeight = lines.length * lineHeight;
-    let messageY = y + (this.height - totalHeight) / 2 + lineHeight / 2;
+  onClick(e) {
+    e.stopPropagation();
+    const target = this.getTarget(e.target);
+    if (!target || !target.owner.handleAccessibleAction) {
+      return;
+    }
+    e.preventDefault();
+    this.focusOwner(target);
+    target.owner.handleAccessibleAction(target.item);
+    this.elapsed = this.interval; // Show the new state at the next update
+  }
 
-    for (let line of lines) {
-      ctx.fillText(line.trim(), messageX, messageY);
-      messageY += lineHeight;
+  // Arrow keys on a slider or spin button element step the control's value (screen readers send these for
+  // increment and decrement); they are handled here so the canvas doesn't also move focus
+  onKeyDown(e) {
+    const role = e.target.getAttribute ? e.target.getAttribute('role') : null;
+    const action = { ArrowUp: 'increment', ArrowRight: 'increment', ArrowDown: 'decrement', ArrowLeft: 'decrement' }[e.key];
+    const target = action && (role === 'slider' || role === 'spinbutton') ? this.getTarget(e.target) : null;
+    if (!target || !target.owner.handleAccessibleAction) {
+      return;
     }
+    e.preventDefault();
+    e.stopPropagation();
+    this.focusOwner(target);
+    target.owner.handleAccessibleAction(action);
+    this.elapsed = this.interval;
   }
 }